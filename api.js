@@ -0,0 +1,117 @@
+// Client for the optional Node server (server/server.js) shared by the editor and the read-only view.
+// - The editor can keep data in this browser only ("local", the default) or use the server's REST API ("api");
+//   the choice and the server address are stored under "mctiers_backend_v1"
+// - In API mode localStorage is still used as a working copy; the server holds the data everyone sees
+// - apiRequest() answers parsed JSON and throws an Error carrying `status` and the server's `error` message
+// - Writes need a signed-in account (session cookie set by apiLogin); the server checks the role on every write
+// Load after storage.js and before players.js / players-view.js.
+
+const BACKEND_KEY = "mctiers_backend_v1";
+const backendDefault = { mode: "local", baseUrl: "" };
+const API_BULK_THRESHOLD = 10; // more changed records than this are sent as one bulk replace
+// Computed on every page (and by the server) rather than stored; same list as DERIVED_FIELDS in server/store.js
+const API_DERIVED_FIELDS = ["rank", "computedRank", "rankPinned", "regionRank", "tier", "activity"];
+
+function loadBackend() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(BACKEND_KEY) || "null");
+    if (parsed && (parsed.mode === "local" || parsed.mode === "api")) {
+      return { ...backendDefault, ...parsed, baseUrl: String(parsed.baseUrl || "") };
+    }
+  } catch (e) {
+    console.warn("Failed to load backend settings:", e);
+  }
+  return { ...backendDefault };
+}
+
+function saveBackend(backend) {
+  localStorage.setItem(BACKEND_KEY, JSON.stringify({ mode: backend.mode, baseUrl: backend.baseUrl || "" }));
+}
+
+function usingApi() {
+  return loadBackend().mode === "api";
+}
+
+// "" means the server that serves this page
+function apiUrl(path, backend = loadBackend()) {
+  const base = String(backend.baseUrl || "").trim().replace(/\/+$/, "");
+  return base ? `${base}/${path}` : path;
+}
+
+async function apiRequest(method, path, body) {
+  const opts = { method, headers: {}, cache: 'no-store' };
+  if (body !== undefined) {
+    opts.headers['Content-Type'] = 'application/json';
+    opts.body = JSON.stringify(body);
+  }
+  const res = await fetch(apiUrl(path), opts);
+  const text = await res.text();
+  let data = null;
+  try { data = text ? JSON.parse(text) : null; } catch (e) { /* not JSON, reported below */ }
+  if (!res.ok) {
+    const err = new Error((data && data.error) || `HTTP ${res.status}`);
+    err.status = res.status;
+    throw err;
+  }
+  return data;
+}
+
+async function apiLogin(username, password) {
+  return apiRequest('POST', 'api/login', { username, password });
+}
+
+async function apiLogout() {
+  return apiRequest('POST', 'api/logout');
+}
+
+// The signed-in account ({ id, username, role }) or null
+async function apiCurrentUser() {
+  try {
+    return await apiRequest('GET', 'api/me');
+  } catch (e) {
+    if (e.status === 401) return null;
+    throw e;
+  }
+}
+
+// Attributed change log of one player, oldest first (same entries as history.js)
+async function apiHistory(playerId) {
+  return apiRequest('GET', `api/history?player=${encodeURIComponent(playerId)}`);
+}
+
+// Everything the editor needs from the server in one go
+async function apiLoadAll() {
+  const [players, mapping, rankSettings, matches] = await Promise.all([
+    apiRequest('GET', 'api/players'),
+    apiRequest('GET', 'api/mapping'),
+    apiRequest('GET', 'api/rank-settings'),
+    apiRequest('GET', 'api/matches')
+  ]);
+  return { players, mapping, rankSettings, matches };
+}
+
+// The stored part of a player record, for comparing two versions of it
+function storedPlayerJson(p) {
+  const copy = { ...p };
+  API_DERIVED_FIELDS.forEach(f => delete copy[f]);
+  return JSON.stringify(copy);
+}
+
+// Sends the difference between two player lists: one request per created, changed or deleted record.
+// Rank shifts alone do not count as changes. opts.allowBulk = true lets a list that was replaced as a whole
+// (imports, clearing, undo) go out as a single bulk replace when many records changed; it needs an admin account.
+async function apiSyncPlayers(before, after, opts = {}) {
+  const beforeById = new Map(before.map(p => [p.id, p]));
+  const afterIds = new Set(after.map(p => p.id));
+  const created = after.filter(p => !beforeById.has(p.id));
+  const updated = after.filter(p => beforeById.has(p.id) && storedPlayerJson(beforeById.get(p.id)) !== storedPlayerJson(p));
+  const deleted = before.filter(p => !afterIds.has(p.id));
+  if (opts.allowBulk === true && created.length + updated.length + deleted.length > API_BULK_THRESHOLD) {
+    return apiRequest('PUT', 'api/players', after);
+  }
+  // deletes first so a re-added name does not clash with the record it replaces
+  for (const p of deleted) await apiRequest('DELETE', `api/players/${encodeURIComponent(p.id)}`);
+  for (const p of updated) await apiRequest('PUT', `api/players/${encodeURIComponent(p.id)}`, p);
+  for (const p of created) await apiRequest('POST', 'api/players', p);
+  return apiRequest('GET', 'api/players');
+}
@@ -1,6 +1,34 @@
-// Client-side script: server-status integration.
-// Replace the value of serverToCheck with your server IP or IP:PORT (e.g. "play.example.com" or "play.example.com:25565")
-const serverToCheck = "lightvanilla.qzz.io"; // <-- REPLACE THIS
+// Client-side script: server status board.
+// - SERVERS lists every server shown on the home page; each gets its own card (edit the list below)
+// - Each server is polled every POLL_INTERVAL_MS; while it is offline or cannot be reached the interval
+//   doubles up to MAX_BACKOFF_MS and returns to normal on the first good answer
+// - Every check is kept in a rolling history in localStorage ("mctiers_server_history_v1") and drawn as a
+//   player-count sparkline with the uptime percentage of the stored window
+// - MOTDs are drawn with their colours and formats (legacy "§" codes or JSON chat components, hex colours too)
+//   and the server's own icon replaces the logo placeholder when the status includes one
+// - Status comes from the site's own server (GET api/status/<host>, see server/slp.js) when it is running,
+//   otherwise from the public api.mcsrvstat.us; both answer in the same format
+// - The last good status of each server is kept ("mctiers_server_last_v1"); when no status can be fetched
+//   (e.g. offline at an event) the card shows it with its age instead of an empty card
+
+// id: stable key for the stored history; name: card title; host: IP or IP:PORT (e.g. "play.example.com:25565")
+const SERVERS = [
+  { id: "hub", name: "Hub", host: "lightvanilla.qzz.io" }
+  // { id: "practice", name: "Practice", host: "practice.example.com" },
+  // { id: "eu", name: "EU node", host: "eu.example.com:25566" }
+];
+
+const POLL_INTERVAL_MS = 60 * 1000;
+const MAX_BACKOFF_MS = 15 * 60 * 1000;
+const SERVER_HISTORY_KEY = "mctiers_server_history_v1";
+const SERVER_HISTORY_LIMIT = 288;     // checks kept per server
+const SERVER_HISTORY_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const SERVER_LAST_KEY = "mctiers_server_last_v1";
+// Tried in order until one answers; the last one that worked is tried first from then on
+const STATUS_ENDPOINTS = ["api/status/", "https://api.mcsrvstat.us/2/"];
+let statusEndpoint = null;
+
+const serverState = {}; // id -> { failures, timer }
 
 function setText(id, txt) {
   const el = document.getElementById(id);
@@ -8,62 +36,349 @@ function setText(id, txt) {
 }
 
 async function fetchServerStatus(host) {
+  // Example: api/status/play.example.com or https://api.mcsrvstat.us/2/play.example.com (no auth required)
+  const endpoints = statusEndpoint ? [statusEndpoint, ...STATUS_ENDPOINTS.filter(e => e !== statusEndpoint)] : STATUS_ENDPOINTS;
+  for (const endpoint of endpoints) {
+    try {
+      const res = await fetch(`${endpoint}${encodeURIComponent(host)}`);
+      if (!res.ok) throw new Error(`Network response not ok (${res.status})`);
+      const data = await res.json();
+      if (typeof data.online !== "boolean") throw new Error("Not a server status response");
+      statusEndpoint = endpoint;
+      return data;
+    } catch (err) {
+      console.error(`Server status fetch error (${endpoint}):`, err);
+    }
+  }
+  return null;
+}
+
+/* ---------------------- MOTD rendering ---------------------- */
+
+const MOTD_COLORS = {
+  "0": "#000000", "1": "#0000AA", "2": "#00AA00", "3": "#00AAAA", "4": "#AA0000", "5": "#AA00AA", "6": "#FFAA00", "7": "#AAAAAA",
+  "8": "#555555", "9": "#5555FF", "a": "#55FF55", "b": "#55FFFF", "c": "#FF5555", "d": "#FF55FF", "e": "#FFFF55", "f": "#FFFFFF"
+};
+const MOTD_COLOR_NAMES = {
+  black: "0", dark_blue: "1", dark_green: "2", dark_aqua: "3", dark_red: "4", dark_purple: "5", gold: "6", gray: "7",
+  dark_gray: "8", blue: "9", green: "a", aqua: "b", red: "c", light_purple: "d", yellow: "e", white: "f"
+};
+const MOTD_FORMATS = { k: "obfuscated", l: "bold", m: "strikethrough", n: "underlined", o: "italic" };
+
+function escapeHtml(s) {
+  if (s === null || s === undefined) return '';
+  return String(s).replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;");
+}
+
+// "gold", "#ffaa00" -> "#FFAA00"; anything else -> null (never copied into the page as-is)
+function motdColor(color) {
+  if (!color) return null;
+  if (MOTD_COLOR_NAMES[color]) return MOTD_COLORS[MOTD_COLOR_NAMES[color]];
+  return /^#[0-9a-f]{6}$/i.test(color) ? color.toUpperCase() : null;
+}
+
+// Splits legacy text into [{ text, style }] starting from `base`. A colour code resets the formats,
+// "§r" resets to `base`, and "§x§R§R§G§G§B§B" sets a hex colour.
+function parseLegacyMotd(text, base = {}) {
+  const segments = [];
+  let style = { ...base };
+  let buf = "";
+  const flush = () => {
+    if (buf) segments.push({ text: buf, style });
+    buf = "";
+  };
+  const s = String(text);
+  for (let i = 0; i < s.length; i++) {
+    if (s[i] !== "§" || i + 1 >= s.length) { buf += s[i]; continue; }
+    const code = s[i + 1].toLowerCase();
+    const hex = code === "x" && s.slice(i + 2, i + 14).match(/^(?:§[0-9a-f]){6}/i);
+    if (hex) {
+      flush();
+      style = { color: "#" + hex[0].replace(/§/g, "").toUpperCase() };
+      i += 13;
+    } else if (MOTD_COLORS[code]) {
+      flush();
+      style = { color: MOTD_COLORS[code] };
+      i++;
+    } else if (MOTD_FORMATS[code]) {
+      flush();
+      style = { ...style, [MOTD_FORMATS[code]]: true };
+      i++;
+    } else if (code === "r") {
+      flush();
+      style = { ...base };
+      i++;
+    } else {
+      buf += s[i];
+    }
+  }
+  flush();
+  return segments;
+}
+
+// JSON chat component (string, array or { text, color, bold, ..., extra }) -> [{ text, style }]
+function parseChatMotd(component, inherited = {}) {
+  if (component === null || component === undefined) return [];
+  if (typeof component === "string" || typeof component === "number") return parseLegacyMotd(String(component), inherited);
+  if (Array.isArray(component)) return component.flatMap(c => parseChatMotd(c, inherited));
+  if (typeof component !== "object") return [];
+  const style = { ...inherited };
+  const color = motdColor(component.color);
+  if (color) style.color = color;
+  Object.values(MOTD_FORMATS).forEach(f => { if (component[f] !== undefined) style[f] = !!component[f]; });
+  const own = component.text !== undefined ? parseLegacyMotd(String(component.text), style) : [];
+  return own.concat((component.extra || []).flatMap(c => parseChatMotd(c, style)));
+}
+
+function motdSegmentHtml(seg) {
+  const css = [];
+  const st = seg.style;
+  if (st.color) css.push(`color:${st.color}`);
+  if (st.bold) css.push("font-weight:700");
+  if (st.italic) css.push("font-style:italic");
+  const lines = [];
+  if (st.underlined) lines.push("underline");
+  if (st.strikethrough) lines.push("line-through");
+  if (lines.length) css.push(`text-decoration:${lines.join(" ")}`);
+  const text = escapeHtml(seg.text).replace(/\n/g, "<br>");
+  if (!css.length && !st.obfuscated) return text;
+  const cls = st.obfuscated ? ' class="motd-obfuscated"' : "";
+  return `<span${cls}${css.length ? ` style="${css.join(";")}"` : ""}>${text}</span>`;
+}
+
+// MOTD (legacy "§" text or a JSON chat component) -> escaped, styled HTML
+function motdToHtml(motd) {
+  const segments = typeof motd === "string" ? parseLegacyMotd(motd) : parseChatMotd(motd);
+  return segments.map(motdSegmentHtml).join("");
+}
+
+// The richest MOTD the status offers: the chat component, else the raw "§" lines, else the plain lines
+function motdFromStatus(data) {
+  const m = data.motd || {};
+  if (m.json) return m.json;
+  if (Array.isArray(m.raw) && m.raw.length) return m.raw.map(l => String(l).trim()).join("\n");
+  if (Array.isArray(m.clean) && m.clean.length) return m.clean.join("\n");
+  return "";
+}
+
+// Only PNG data URIs are shown, so a status response cannot point the image anywhere else
+function serverIconSrc(data) {
+  const icon = data && data.icon;
+  return (typeof icon === "string" && /^data:image\/png;base64,[A-Za-z0-9+/=]+$/.test(icon)) ? icon : null;
+}
+
+/* ---------------------- status history ---------------------- */
+
+// { [serverId]: [{ t, online, players }] }; online is null when the status could not be fetched
+function loadServerHistory() {
   try {
-    // Using mcsrvstat public API - no auth required.
-    // Example: https://api.mcsrvstat.us/2/play.example.com
-    const url = `https://api.mcsrvstat.us/2/${encodeURIComponent(host)}`;
-    const res = await fetch(url);
-    if (!res.ok) throw new Error("Network response not ok");
-    const data = await res.json();
-    return data;
-  } catch (err) {
-    console.error("Server status fetch error:", err);
-    return null;
+    const parsed = JSON.parse(localStorage.getItem(SERVER_HISTORY_KEY) || "{}");
+    return (parsed && typeof parsed === "object" && !Array.isArray(parsed)) ? parsed : {};
+  } catch (e) {
+    console.warn("Failed to load server history:", e);
+    return {};
   }
 }
 
-async function updateServerCard() {
-  setText("year", new Date().getFullYear());
-  const data = await fetchServerStatus(serverToCheck);
-  const connectLink = document.getElementById("srv-connect");
-  if (!data) {
-    setText("srv-name", "Unable to fetch status");
-    setText("srv-motd", "");
-    setText("srv-online", "Unknown");
-    setText("srv-players", "—");
-    if (connectLink) {
-      connectLink.textContent = `Connect: ${serverToCheck}`;
-      connectLink.href = `minecraft:///${serverToCheck}`;
+function recordServerSample(id, sample) {
+  const all = loadServerHistory();
+  const cutoff = Date.now() - SERVER_HISTORY_MAX_AGE_MS;
+  all[id] = (all[id] || []).concat(sample).filter(s => s.t >= cutoff).slice(-SERVER_HISTORY_LIMIT);
+  try {
+    localStorage.setItem(SERVER_HISTORY_KEY, JSON.stringify(all));
+  } catch (e) {
+    console.warn("Failed to save server history:", e);
+  }
+  return all[id];
+}
+
+// Share of checks that found the server online; checks that failed to fetch are left out. null when unknown.
+function uptimePercent(samples) {
+  const known = samples.filter(s => s.online !== null);
+  if (!known.length) return null;
+  return Math.round(known.filter(s => s.online).length / known.length * 1000) / 10;
+}
+
+// Player counts as a polyline; offline and unknown checks are drawn as gaps
+function sparklineSvg(samples, width = 160, height = 32) {
+  if (!samples.length) return "";
+  const max = Math.max(1, ...samples.map(s => s.players || 0));
+  const step = samples.length > 1 ? width / (samples.length - 1) : 0;
+  const segments = [];
+  let current = [];
+  samples.forEach((s, i) => {
+    if (!s.online || typeof s.players !== "number") {
+      if (current.length) segments.push(current);
+      current = [];
+      return;
     }
-    return;
+    const x = (i * step).toFixed(1);
+    const y = (height - 2 - (s.players / max) * (height - 4)).toFixed(1);
+    current.push(`${x},${y}`);
+  });
+  if (current.length) segments.push(current);
+  const lines = segments.map(pts => pts.length === 1
+    ? `<circle cx="${pts[0].split(",")[0]}" cy="${pts[0].split(",")[1]}" r="1.5" />`
+    : `<polyline points="${pts.join(" ")}" />`).join("");
+  return `<svg class="sparkline" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img" aria-label="Player count history (peak ${max})">${lines}</svg>`;
+}
+
+/* ---------------------- last known status ---------------------- */
+
+// { [serverId]: { t, data } } with only the fields the card draws
+function loadLastStatus() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(SERVER_LAST_KEY) || "{}");
+    return (parsed && typeof parsed === "object" && !Array.isArray(parsed)) ? parsed : {};
+  } catch (e) {
+    console.warn("Failed to load last server status:", e);
+    return {};
   }
+}
 
-  // mcsrvstat.us returns 'online' boolean and players object {online:number, max:number} plus motd array
-  const online = data.online === true;
-  setText("srv-online", online ? "Online" : "Offline");
-  const players = (data.players && typeof data.players.online === "number") ? `${data.players.online}/${data.players.max || "?"}` : "—";
-  setText("srv-players", players);
-
-  // MOTD: prefer clean version if available
-  let motd = "";
-  if (data.motd && data.motd.clean && data.motd.clean.length) {
-    motd = data.motd.clean.join(" ").trim();
-  } else if (data.motd && data.motd.raw && data.motd.raw.length) {
-    motd = data.motd.raw.join(" ").trim();
+function saveLastStatus(id, data) {
+  const all = loadLastStatus();
+  all[id] = { t: Date.now(), data: { online: data.online, players: data.players, motd: data.motd, icon: data.icon } };
+  try {
+    localStorage.setItem(SERVER_LAST_KEY, JSON.stringify(all));
+  } catch (e) {
+    console.warn("Failed to save last server status:", e);
   }
-  setText("srv-motd", motd || "—");
+}
 
-  // Name
-  setText("srv-name", data.hostname || hostDisplayName(host));
+// "just now", "12 min ago", "3 h ago", "2 days ago"
+function formatAge(ms) {
+  const min = Math.floor(ms / 60000);
+  if (min < 1) return "just now";
+  if (min < 60) return `${min} min ago`;
+  const hours = Math.floor(min / 60);
+  if (hours < 48) return `${hours} h ago`;
+  return `${Math.floor(hours / 24)} days ago`;
+}
+
+/* ---------------------- cards ---------------------- */
+
+function createServerCard(server) {
+  const card = document.createElement("div");
+  card.className = "server-card";
+  card.dataset.server = server.id;
+  card.innerHTML = `
+    <img src="logo.png" alt="" class="server-img" data-field="icon" />
+    <div class="server-info">
+      <h3 class="server-name" data-field="name"></h3>
+      <p class="muted" data-field="motd">—</p>
+      <p>
+        Status: <strong data-field="online">Loading...</strong>
+        • Players: <span data-field="players">—</span>
+      </p>
+      <div class="server-history">
+        <span data-field="sparkline"></span>
+        <span class="muted small" data-field="uptime"></span>
+      </div>
+      <p><a data-field="connect" href="#" class="mono"></a></p>
+    </div>
+  `;
+  card.querySelector('[data-field="name"]').textContent = server.name;
+  const connect = card.querySelector('[data-field="connect"]');
+  connect.textContent = `Connect: ${server.host}`;
+  connect.href = `minecraft:///${server.host}`;
+  return card;
+}
 
-  if (connectLink) {
-    connectLink.textContent = `Connect: ${host}`;
-    connectLink.href = `minecraft:///${host}`;
+function cardField(id, field) {
+  return document.querySelector(`.server-card[data-server="${id}"] [data-field="${field}"]`);
+}
+
+function setCardText(id, field, txt) {
+  const el = cardField(id, field);
+  if (el) el.textContent = txt;
+}
+
+// last: { t, data } from loadLastStatus(), drawn (with its age) when data could not be fetched
+function renderServerCard(server, data, samples, last) {
+  const id = server.id;
+  const card = document.querySelector(`.server-card[data-server="${id}"]`);
+  if (!card) return;
+
+  const shown = data || (last && last.data);
+  card.classList.toggle("stale", !data && !!shown);
+  if (!shown) {
+    card.dataset.status = "unknown";
+    setCardText(id, "online", "Unknown");
+    setCardText(id, "players", "—");
+    setCardText(id, "motd", "Unable to fetch status");
+  } else {
+    // mcsrvstat.us returns 'online' boolean and players object {online:number, max:number} plus motd array
+    const online = shown.online === true;
+    card.dataset.status = online ? "online" : "offline";
+    const label = online ? "Online" : "Offline";
+    setCardText(id, "online", data ? label : `${label} (last known, ${formatAge(Date.now() - last.t)})`);
+    const players = (shown.players && typeof shown.players.online === "number") ? `${shown.players.online}/${shown.players.max || "?"}` : "—";
+    setCardText(id, "players", players);
+
+    const motdEl = cardField(id, "motd");
+    const html = motdToHtml(motdFromStatus(shown));
+    if (motdEl) motdEl.innerHTML = html || "—";
+
+    const icon = cardField(id, "icon");
+    const src = serverIconSrc(shown);
+    if (icon) {
+      icon.src = src || "logo.png";
+      icon.alt = src ? `${server.name} icon` : "";
+    }
   }
+
+  renderServerHistory(server, samples);
+}
+
+function renderServerHistory(server, samples) {
+  const id = server.id;
+  const state = serverState[id];
+  const spark = cardField(id, "sparkline");
+  if (spark) spark.innerHTML = sparklineSvg(samples);
+  const uptime = uptimePercent(samples);
+  const hours = samples.length ? Math.max(1, Math.round((Date.now() - samples[0].t) / 3600000)) : 0;
+  let text = uptime === null ? "No uptime data yet" : `${uptime}% uptime (${samples.length} checks, last ${hours}h)`;
+  if (state && state.failures) text += ` · next check in ${Math.round(nextDelay(state.failures) / 60000)} min`;
+  setCardText(id, "uptime", text);
 }
 
-function hostDisplayName(host) {
-  return host;
+/* ---------------------- polling ---------------------- */
+
+// POLL_INTERVAL_MS doubled for every failed check in a row, capped at MAX_BACKOFF_MS
+function nextDelay(failures) {
+  return Math.min(POLL_INTERVAL_MS * Math.pow(2, failures), MAX_BACKOFF_MS);
+}
+
+async function checkServer(server) {
+  const state = serverState[server.id];
+  clearTimeout(state.timer);
+  const data = await fetchServerStatus(server.host);
+  const online = data ? data.online === true : null;
+  const players = (online && data.players && typeof data.players.online === "number") ? data.players.online : null;
+  const samples = recordServerSample(server.id, { t: Date.now(), online, players });
+  state.failures = online ? 0 : state.failures + 1;
+  if (data) saveLastStatus(server.id, data);
+  renderServerCard(server, data, samples, loadLastStatus()[server.id]);
+  state.timer = setTimeout(() => checkServer(server), nextDelay(state.failures));
+}
+
+function initServerBoard() {
+  setText("year", new Date().getFullYear());
+  const list = document.getElementById("serverList");
+  if (!list) return;
+  const history = loadServerHistory();
+  SERVERS.forEach(server => {
+    list.appendChild(createServerCard(server));
+    serverState[server.id] = { failures: 0, timer: null };
+    renderServerHistory(server, history[server.id] || []);
+    checkServer(server);
+  });
 }
 
-document.addEventListener("DOMContentLoaded", updateServerCard);
\ No newline at end of file
+if (typeof document !== "undefined") document.addEventListener("DOMContentLoaded", initServerBoard);
+
+// The Node server (server/) only pings the addresses listed in SERVERS unless told otherwise
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { SERVERS };
+}
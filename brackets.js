@@ -0,0 +1,60 @@
+// Tier brackets shown on the Tiers page (tiers.html) and used by the Rankings page's ?bracket= filter.
+// - Each bracket is a contiguous slice of the tier ladder (TIER_ORDER in storage.js), given as `from` (lowest)
+//   and `to` (highest) tier codes, so renaming or re-slicing brackets never needs a change anywhere else
+// - `description` and `perks` are the text on the bracket's card; `featured` highlights one card
+// - Edit TIER_BRACKETS to match your server's ranks. Brackets should not overlap; tiers left out of
+//   every bracket are simply not shown on the Tiers page
+// Load after storage.js (TIER_ORDER).
+
+const TIER_BRACKETS = [
+  {
+    id: "bronze",
+    name: "Bronze",
+    from: "LT5",
+    to: "LT3",
+    description: "Ideal for beginners — balanced PvP with standard rules.",
+    perks: ["Basic matchmaking", "Standard gear", "Community queue"]
+  },
+  {
+    id: "silver",
+    name: "Silver",
+    from: "HT3",
+    to: "HT2",
+    featured: true,
+    description: "For regular players — more features and custom arenas.",
+    perks: ["Custom arenas", "Ranked matchmaking", "Priority queue", "Private practice server"]
+  },
+  {
+    id: "gold",
+    name: "Gold",
+    from: "LT1",
+    to: "HT1",
+    description: "Competitive tier — tournaments and advanced stats.",
+    perks: ["Tournaments", "Detailed stats", "More aura", "Custom rank in game"]
+  }
+];
+
+// Tier codes of a bracket, lowest first; [] (with a console warning) when `from`/`to` are not on the ladder
+function bracketTiers(bracket) {
+  const lo = TIER_ORDER.indexOf(bracket.from);
+  const hi = TIER_ORDER.indexOf(bracket.to);
+  if (lo === -1 || hi === -1 || lo > hi) {
+    console.warn(`brackets: "${bracket.id}" needs from/to tiers on the ladder, lowest first (got ${bracket.from}-${bracket.to})`);
+    return [];
+  }
+  return TIER_ORDER.slice(lo, hi + 1);
+}
+
+function findBracket(id) {
+  return TIER_BRACKETS.find(b => b.id === id) || null;
+}
+
+// The bracket a tier code belongs to, or null
+function bracketOfTier(tier) {
+  return TIER_BRACKETS.find(b => bracketTiers(b).includes(tier)) || null;
+}
+
+// "LT5–LT3" style label (highest last, as the ladder is read)
+function bracketRangeLabel(bracket) {
+  return bracket.from === bracket.to ? bracket.from : `${bracket.from}–${bracket.to}`;
+}
@@ -0,0 +1,131 @@
+// Export formats shared by the editor (players.js) and the read-only view (players-view.js).
+// - CSV that round-trips through the editor's CSV import (parseCSV)
+// - Markdown table, Discord code-block leaderboard
+// - Full backup bundle (players, tier mapping, history and metadata) that the editor can import again
+// - Published data file for the public Rankings page (always the full list; see storage.js)
+// Load after storage.js (GAMEMODES) and before players.js / players-view.js.
+
+const BACKUP_FORMAT = "mctiers-backup";
+const BACKUP_VERSION = 1;
+const DISCORD_MESSAGE_LIMIT = 2000;
+
+// Text starting with = + - @ gets a leading ' so spreadsheets show it instead of running it as a formula
+// (parseCSV drops that quote again); numbers such as negative points are left as they are
+function csvCell(v) {
+  let s = (v === null || v === undefined) ? '' : String(v).replace(/\r?\n/g, ' ');
+  if (typeof v !== 'number' && /^[=+\-@]/.test(s)) s = `'${s}`;
+  return /[",]/.test(s) || s !== s.trim() ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Column names match what the importer reads (headers are lower-cased on import)
+function playersToCSV(list) {
+  const headers = ['id', 'uuid', 'rank', 'rankoverride', 'name', 'region', 'country', 'points', 'pointssince', 'lasttested', 'lastactive', 'status']
+    .concat(GAMEMODES.map(m => m.id));
+  const lines = [headers.join(',')];
+  list.forEach(p => {
+    const tiers = p.tiers || {};
+    lines.push([
+      p.id, p.uuid, p.rank, p.rankOverride || '', p.name, p.region || '', p.country || '', p.points, p.pointsSince, p.lastTested || '', p.lastActive || '', p.status || ''
+    ].concat(GAMEMODES.map(m => tiers[m.id] || '')).map(csvCell).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+function mdCell(v) {
+  return String(v ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function playersToMarkdown(list) {
+  const head = ['Rank', 'Player', 'Tier'].concat(GAMEMODES.map(m => m.label), ['Points']);
+  const rows = list.map(p => [
+    p.rankPinned ? `${p.rank} (pinned)` : p.rank, p.name, p.tier || '—'
+  ].concat(GAMEMODES.map(m => (p.tiers || {})[m.id] || '—'), [p.points]));
+  return [head, head.map(() => '---')].concat(rows)
+    .map(r => '| ' + r.map(mdCell).join(' | ') + ' |')
+    .join('\n') + '\n';
+}
+
+// Fixed-width leaderboard inside a code block; trimmed to fit a single Discord message
+function playersToDiscord(list, title = 'LightTiers Rankings') {
+  const pad = (s, n) => String(s).slice(0, n).padEnd(n);
+  const nameWidth = Math.min(16, Math.max(6, ...list.map(p => String(p.name).length)));
+  const header = `${pad('#', 4)} ${pad('Player', nameWidth)} ${pad('Tier', 4)} ${'Pts'.padStart(5)}`;
+  const open = `**${title}**\n\`\`\`\n${header}\n${'-'.repeat(header.length)}\n`;
+  const close = '```';
+  let body = '';
+  let shown = 0;
+  for (const p of list) {
+    const line = `${pad(p.rank, 4)} ${pad(p.name, nameWidth)} ${pad(p.tier || '-', 4)} ${String(p.points).padStart(5)}\n`;
+    const more = `… and ${list.length - shown - 1} more\n`;
+    if ((open + body + line + more + close).length > DISCORD_MESSAGE_LIMIT) {
+      body += `… and ${list.length - shown} more\n`;
+      break;
+    }
+    body += line;
+    shown++;
+  }
+  return open + body + close;
+}
+
+function buildBackupBundle(data) {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    meta: { playerCount: (data.players || []).length, source: location.pathname.split('/').pop() || 'index.html' },
+    players: data.players || [],
+    tierMapping: data.tierMapping || {},
+    rankSettings: data.rankSettings || null,
+    history: data.history || []
+  };
+}
+
+function isBackupBundle(data) {
+  return !!data && !Array.isArray(data) && data.format === BACKUP_FORMAT && Array.isArray(data.players);
+}
+
+function downloadText(filename, text, type = 'text/plain') {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  // some browsers start the download after click() returns, so keep the URL alive for a moment
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// format: "json" | "csv" | "markdown" | "discord" | "backup"; `list` is what gets exported
+// (the filtered view or the full list), `data` carries the full state for backups.
+function exportPlayers(format, list, data) {
+  const stamp = new Date().toISOString().slice(0, 10);
+  switch (format) {
+    case 'csv': return downloadText(`players-${stamp}.csv`, playersToCSV(list), 'text/csv');
+    case 'markdown': return downloadText(`players-${stamp}.md`, playersToMarkdown(list), 'text/markdown');
+    case 'discord': return downloadText(`players-${stamp}-discord.txt`, playersToDiscord(list));
+    case 'publish': return downloadText('players.json', JSON.stringify(buildPublishedData(data.players, data.tierMapping, data.matches, data.rankSettings), null, 2), 'application/json');
+    case 'backup': return downloadText(`mctiers-backup-${stamp}.json`, JSON.stringify(buildBackupBundle(data), null, 2), 'application/json');
+    default: return downloadText('players.json', JSON.stringify(list, null, 2), 'application/json');
+  }
+}
+
+// Text formats can also go straight to the clipboard (handy for posting in Discord)
+function exportText(format, list) {
+  if (format === 'csv') return playersToCSV(list);
+  if (format === 'markdown') return playersToMarkdown(list);
+  if (format === 'discord') return playersToDiscord(list);
+  return JSON.stringify(list, null, 2);
+}
+
+async function copyExport(format, list) {
+  const text = exportText(format, list);
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch (e) {
+    console.warn("Clipboard copy failed:", e);
+    return false;
+  }
+}
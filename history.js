@@ -0,0 +1,144 @@
+// Tier change history shared by the editor (players.js) and the read-only view (players-view.js).
+// - Append-only log stored next to the players list under "mctiers_history_v1"
+// - Each entry records when, who tested/entered it, the old and new tiers per gamemode and the old and new points
+// - openTimeline(player) shows a player's promotions and demotions in a <dialog>; pass `loadEntries` to show
+//   another log instead (the server's attributed history, see api.js)
+// Load after storage.js (TIER_ORDER, GAMEMODES) and before players.js / players-view.js (escapeHtml).
+
+const HISTORY_KEY = "mctiers_history_v1";
+
+function loadHistory() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(HISTORY_KEY) || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    console.error("Failed to load tier history:", e);
+    return [];
+  }
+}
+
+// Entries are only ever added; existing entries are never rewritten or removed.
+function appendHistory(entries) {
+  if (!entries || !entries.length) return;
+  const list = loadHistory().concat(entries);
+  try {
+    localStorage.setItem(HISTORY_KEY, JSON.stringify(list));
+  } catch (e) {
+    console.error("Failed to save tier history:", e);
+  }
+}
+
+function historyId() {
+  return 'h-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 8);
+}
+
+// Builds history entries for every player whose tiers or points differ between two lists.
+// `before` / `after` are arrays of player records keyed by `id`.
+function diffForHistory(before, after, by, note) {
+  const at = new Date().toISOString();
+  const prev = new Map((before || []).filter(Boolean).map(p => [p.id, p]));
+  const next = new Map((after || []).filter(Boolean).map(p => [p.id, p]));
+  const entries = [];
+  const entry = (type, p, old) => {
+    const oldTiers = (old && old.tiers) || {};
+    const newTiers = (type === 'removed' ? {} : p.tiers) || {};
+    const modes = GAMEMODES
+      .filter(m => (oldTiers[m.id] || "") !== (newTiers[m.id] || ""))
+      .map(m => ({ mode: m.id, from: oldTiers[m.id] || "", to: newTiers[m.id] || "" }));
+    const fromPoints = old ? Number(old.points) || 0 : null;
+    const toPoints = type === 'removed' ? null : Number(p.points) || 0;
+    if (type === 'updated' && !modes.length && fromPoints === toPoints) return;
+    const e = {
+      id: historyId(), at, by: by || "", type,
+      playerId: p.id, name: p.name,
+      fromTier: old ? old.tier || "" : "", toTier: type === 'removed' ? "" : p.tier || "",
+      fromPoints, toPoints, modes
+    };
+    if (note) e.note = note;
+    entries.push(e);
+  };
+  next.forEach((p, id) => entry(prev.has(id) ? 'updated' : 'added', p, prev.get(id)));
+  prev.forEach((p, id) => { if (!next.has(id)) entry('removed', p, p); });
+  return entries;
+}
+
+function historyFor(playerId) {
+  return loadHistory().filter(e => e.playerId === playerId).sort((a, b) => a.at < b.at ? -1 : a.at > b.at ? 1 : 0);
+}
+
+// "promotion", "demotion", "new" (first tier in a mode) or "cleared"
+function tierMove(from, to) {
+  if (!from) return 'new';
+  if (!to) return 'cleared';
+  const d = TIER_ORDER.indexOf(to) - TIER_ORDER.indexOf(from);
+  if (d > 0) return 'promotion';
+  if (d < 0) return 'demotion';
+  return 'changed';
+}
+
+function modeLabel(id) {
+  const m = GAMEMODES.find(g => g.id === id);
+  return m ? m.label : id;
+}
+
+function timelineItemHtml(e) {
+  const when = new Date(e.at).toLocaleString();
+  const by = e.by ? ` · by ${escapeHtml(e.by)}` : '';
+  const note = e.note ? ` · ${escapeHtml(e.note)}` : '';
+  let head = 'Updated';
+  if (e.type === 'added') head = 'Added to the list';
+  if (e.type === 'removed') head = 'Removed from the list';
+  const moves = (e.modes || []).map(m => {
+    const kind = tierMove(m.from, m.to);
+    return `<li class="tl-${kind}">${escapeHtml(modeLabel(m.mode))}: ${escapeHtml(m.from || '—')} → ${escapeHtml(m.to || '—')} <span class="muted small">(${kind})</span></li>`;
+  }).join('');
+  const pts = (e.fromPoints !== e.toPoints)
+    ? `<li class="muted">Points: ${escapeHtml(e.fromPoints ?? '—')} → ${escapeHtml(e.toPoints ?? '—')}</li>` : '';
+  return `<li class="timeline-item">
+      <div><strong>${head}</strong> <span class="muted small">${escapeHtml(when)}${by}${note}</span></div>
+      <ul>${moves}${pts}</ul>
+    </li>`;
+}
+
+function ensureTimelineDialog() {
+  let dlg = document.getElementById('timelineDialog');
+  if (dlg) return dlg;
+  dlg = document.createElement('dialog');
+  dlg.id = 'timelineDialog';
+  dlg.className = 'timeline-dialog';
+  dlg.innerHTML = `
+    <h3 id="timelineTitle" style="margin:0 0 0.5rem"></h3>
+    <ol id="timelineList" class="timeline"></ol>
+    <form method="dialog" style="margin-top:0.75rem;text-align:right"><button class="btn">Close</button></form>
+  `;
+  document.body.appendChild(dlg);
+  return dlg;
+}
+
+function renderTimelineEntries(entries) {
+  document.getElementById('timelineList').innerHTML = entries.length
+    ? entries.slice().reverse().map(timelineItemHtml).join('')
+    : '<li class="muted">No recorded changes yet.</li>';
+}
+
+// loadEntries: optional async () => entries, oldest first
+function openTimeline(player, loadEntries) {
+  if (!player) return;
+  const dlg = ensureTimelineDialog();
+  document.getElementById('timelineTitle').textContent = `${player.name} — tier history`;
+  if (loadEntries) {
+    document.getElementById('timelineList').innerHTML = '<li class="muted">Loading…</li>';
+    loadEntries().then(renderTimelineEntries, (err) => {
+      document.getElementById('timelineList').innerHTML = `<li class="muted">Could not load the history (${escapeHtml(err.message)}).</li>`;
+    });
+  } else {
+    renderTimelineEntries(historyFor(player.id));
+  }
+  if (typeof dlg.showModal === 'function') dlg.showModal();
+  else dlg.setAttribute('open', '');
+}
+
+// The Node server (server/) keeps the attributed history with the same entry format
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { diffForHistory };
+}
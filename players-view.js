@@ -1,16 +1,30 @@
 // Read-only players & tiers viewer.
-// - Reads the same storage keys as the editor: "mctiers_players_v1" and "mctiers_tier_mapping_v1"
+// - Reads the rankings from the LightTiers server (api/published, see api.js) when the site is served by it
+// - Otherwise loads the published data file (data/players.json, see storage.js) so every visitor sees the rankings
+// - Merges it with the same storage the editor uses (storage.js, read-only): edits saved in this browser after
+//   the file was published are layered on top (players removed here since then stay removed); without a
+//   published file it falls back to local data only. Ranks and activity are recomputed for today either way.
+// - Shows a "last updated" stamp for whichever data is on screen
 // - Listens for BroadcastChannel messages, storage events and custom events so it updates immediately when the editable page saves players/mapping.
 // - No import, no mapping-edit UI, no add/edit controls — purely read-only.
-
-const STORAGE_KEY = "mctiers_players_v1";
-const MAPPING_KEY = "mctiers_tier_mapping_v1";
-const CHANNEL_NAME = "mctiers_channel";
-const TIER_ORDER = ["LT5","HT5","LT4","HT4","LT3","HT3","LT2","HT2","LT1","HT1"];
+// - Exports the filtered view or the full list as JSON, CSV, Markdown, Discord text or a backup (export.js).
+// - Clicking a player name opens their tier history timeline (history.js).
+// - ?bracket=<id> (links from the Tiers page) lists only players whose tier is in that bracket (brackets.js).
+// - The search box takes structured queries (tier:>=HT3 points:<50 name:blade mode:sword, see query.js).
+// - Large lists stay fast: debounced search, one page of rows at a time and delegated clicks (table.js).
+// - A sortable Rating column (rating.js) appears once any match results are available.
+// - The Region column shows each player's flag, region and rank within the region; the region dropdown filters by it.
+// - Retired players (see ranking.js) are hidden unless "Show retired" is ticked; inactive and retired players are badged.
 
 let players = [];
 let tierMapping = {};
 let sortState = { field: "rank", dir: "asc" };
+let published = null;  // last successfully loaded published data (readPublishedData result + `fromServer`)
+let dataInfo = { source: 'local', updatedAt: null };
+let serverRefreshTimer = null;
+let pager = createPager();
+let bracketFilter = null; // TIER_BRACKETS entry from ?bracket=, cleared with its "Show all" button
+let ratings = new Map(); // playerId -> rating stats from the matches that came with the data on screen
 
 // BroadcastChannel (if available)
 const bc = (typeof window !== 'undefined' && 'BroadcastChannel' in window) ? new BroadcastChannel(CHANNEL_NAME) : null;
@@ -26,33 +40,89 @@ function setYear() {
   if ($('yearView')) $('yearView').textContent = y;
 }
 
-function loadPlayers() {
-  try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (!raw) return [];
-    const parsed = JSON.parse(raw);
-    if (!Array.isArray(parsed)) return [];
-    return parsed;
-  } catch (e) {
-    console.error("players-view: failed reading players:", e);
-    return [];
+// Picks what to show from the published file and this browser's storage (see header)
+function combineSources() {
+  const local = readPlayersStore({ readOnly: true });
+  const localMapping = readMappingStore({ readOnly: true });
+  const newerThanPublished = (savedAt) => !!savedAt && (!published.updatedAt || savedAt > published.updatedAt);
+
+  if (!published) {
+    // stored ranks may predate the current rank settings, so rank again like the merged view does
+    players = computeRanks(local.players, loadRankSettings());
+    tierMapping = localMapping.missing ? {} : localMapping.mapping;
+    ratings = computeRatings(loadMatches());
+    dataInfo = { source: 'local', updatedAt: local.savedAt };
+    return;
+  }
+  // the server already holds every editor's saves; local storage is only a working copy there
+  if (published.fromServer) {
+    players = published.players;
+    tierMapping = published.mapping || localMapping.mapping;
+    ratings = computeRatings(published.matches);
+    dataInfo = { source: 'server', updatedAt: published.updatedAt };
+    return;
+  }
+  // matches recorded in this browser since publishing count as well
+  const matchesById = new Map(published.matches.map(m => [m.id, m]));
+  loadMatches().forEach(m => matchesById.set(m.id, m));
+  ratings = computeRatings(Array.from(matchesById.values()));
+
+  tierMapping = (newerThanPublished(localMapping.savedAt) || !published.mapping) ? localMapping.mapping : published.mapping;
+  if (!local.players.length || !newerThanPublished(local.savedAt)) {
+    players = computeRanks(published.players, published.rankSettings ? { ...rankSettingsDefault, ...published.rankSettings } : loadRankSettings());
+    dataInfo = { source: 'published', updatedAt: published.updatedAt };
+    return;
   }
+  // players removed in this browser after publishing (and not added back since) stay removed
+  const localIds = new Set(local.players.map(p => p.id));
+  const removed = new Set(loadHistory()
+    .filter(e => e.type === 'removed' && !localIds.has(e.playerId) && newerThanPublished(e.at))
+    .map(e => e.playerId));
+  const byId = new Map(published.players.filter(p => !removed.has(p.id)).map(p => [p.id, p]));
+  local.players.forEach(p => byId.set(p.id, p));
+  players = computeRanks(Array.from(byId.values()), loadRankSettings());
+  dataInfo = { source: 'merged', updatedAt: local.savedAt, publishedAt: published.updatedAt };
 }
 
-function loadMapping() {
+// Server first, then the published file, then this browser's data
+async function loadPublished() {
+  published = null;
   try {
-    const raw = localStorage.getItem(MAPPING_KEY);
-    if (!raw) return {};
-    const parsed = JSON.parse(raw);
-    return parsed && typeof parsed === 'object' ? parsed : {};
+    published = { ...(await fetchPublishedData(apiUrl('api/published'))), fromServer: true };
   } catch (e) {
-    console.error("players-view: failed reading mapping:", e);
-    return {};
+    console.info("players-view: no server, trying the published data file:", e.message);
   }
+  if (!published) {
+    try {
+      published = await fetchPublishedData();
+    } catch (e) {
+      console.info("players-view: no published data, using this browser's data only:", e.message);
+    }
+  }
+  if (published && published.problems.length) console.warn("players-view: skipped invalid published records:", published.problems);
+  reloadFromStorage();
+}
+
+function renderLastUpdated() {
+  const el = $('lastUpdated');
+  if (!el) return;
+  const fmt = (iso) => iso ? new Date(iso).toLocaleString() : 'unknown';
+  if (dataInfo.source === 'server') el.textContent = `Last updated ${fmt(dataInfo.updatedAt)} (live from the server)`;
+  else if (dataInfo.source === 'published') el.textContent = `Last updated ${fmt(dataInfo.updatedAt)} (published rankings)`;
+  else if (dataInfo.source === 'merged') el.textContent = `Last updated ${fmt(dataInfo.updatedAt)} (published ${fmt(dataInfo.publishedAt)} plus newer edits saved in this browser)`;
+  else if (players.length) el.textContent = `Last updated ${fmt(dataInfo.updatedAt)} (data saved in this browser)`;
+  else el.textContent = 'No rankings published yet.';
+}
+
+// per-gamemode tiers; records saved before gamemodes existed only have `tier` (the Crystal tier)
+function modeTiers(p) {
+  if (p.tiers && typeof p.tiers === 'object') return p.tiers;
+  return p.tier ? { crystal: p.tier } : {};
 }
 
 function getUniqueTiers() {
-  const s = new Set(players.map(p => (p.tier || "").trim()).filter(Boolean));
+  const s = new Set();
+  players.forEach(p => Object.values(modeTiers(p)).concat(p.tier || "").forEach(t => s.add(String(t).trim())));
   TIER_ORDER.forEach(t => s.add(t));
   return Array.from(s).filter(Boolean).sort((a,b)=>{
     const ia = TIER_ORDER.indexOf(a);
@@ -77,6 +147,48 @@ function populateTierFilter() {
   });
 }
 
+function populateModeFilter() {
+  const sel = $('modeFilter');
+  if (!sel) return;
+  const current = sel.value;
+  sel.innerHTML = '<option value="">All gamemodes</option>';
+  GAMEMODES.forEach(m => {
+    const opt = document.createElement('option');
+    opt.value = m.id;
+    opt.textContent = m.label;
+    sel.appendChild(opt);
+  });
+  sel.value = current;
+}
+
+function populateRegionFilter() {
+  const sel = $('regionFilter');
+  if (!sel) return;
+  const current = sel.value;
+  sel.innerHTML = '<option value="">All regions</option>';
+  REGIONS.forEach(r => {
+    const opt = document.createElement('option');
+    opt.value = r.id;
+    opt.textContent = r.label;
+    sel.appendChild(opt);
+  });
+  sel.value = current;
+}
+
+function renderModeHeaders() {
+  const tierTh = $('tierHeader');
+  if (!tierTh || tierTh.parentNode.querySelector('th[data-mode]')) return;
+  let after = tierTh;
+  GAMEMODES.forEach(m => {
+    const th = document.createElement('th');
+    th.style.padding = '0.6rem 0.8rem';
+    th.dataset.mode = m.id;
+    th.textContent = m.label;
+    after.insertAdjacentElement('afterend', th);
+    after = th;
+  });
+}
+
 function renderMappingPreview() {
   const container = $('mappingPreview');
   if (!container) return;
@@ -96,77 +208,111 @@ function renderMappingPreview() {
 function renderTable(list) {
   const tbody = $('playersBody');
   if (!tbody) return;
-  tbody.innerHTML = '';
-  list.forEach(p => {
-    const tr = document.createElement('tr');
-    tr.style.borderTop = "1px solid rgba(255,255,255,0.02)";
-    tr.innerHTML = `
-      <td style="padding:0.6rem 0.8rem;white-space:nowrap">${escapeHtml(p.rank)}</td>
-      <td style="padding:0.6rem 0.8rem">${escapeHtml(p.name)}</td>
+  const mode = ($('modeFilter') && $('modeFilter').value) || '';
+  const rated = ratings.size > 0;
+  if ($('ratingHeader')) $('ratingHeader').classList.toggle('hidden', !rated);
+  const rows = pageSlice(list, pager).map(p => `
+    <tr${p.id ? ` data-id="${escapeHtml(p.id)}"` : ''}${p.activity === 'retired' ? ' class="retired-row"' : ''} style="border-top:1px solid rgba(255,255,255,0.02)">
+      <td style="padding:0.6rem 0.8rem;white-space:nowrap">${rankCellHtml(p)}</td>
+      <td style="padding:0.6rem 0.8rem" title="${escapeHtml(p.uuid ? 'UUID ' + p.uuid : '')}"><a href="#" class="player-link" data-id="${escapeHtml(p.id || '')}">${escapeHtml(p.name)}</a>${activityBadgeHtml(p)}</td>
+      <td style="padding:0.6rem 0.8rem;white-space:nowrap">${regionCellHtml(p)}</td>
       <td style="padding:0.6rem 0.8rem">${escapeHtml(p.tier)}</td>
+      ${GAMEMODES.map(m => `<td style="padding:0.6rem 0.8rem" class="muted">${escapeHtml(modeTiers(p)[m.id] || '—')}</td>`).join('')}
       <td style="padding:0.6rem 0.8rem">${escapeHtml(p.points)}</td>
-    `;
-    tbody.appendChild(tr);
-  });
+      ${rated ? `<td style="padding:0.6rem 0.8rem">${ratingCellHtml(ratings.get(p.id), mode)}</td>` : ''}
+    </tr>`);
+  tbody.innerHTML = rows.join('');
+  renderPager($('tablePager'), pager, list.length);
 }
 
-function applyFiltersAndRender() {
-  const qEl = $('searchInput');
-  const q = (qEl && qEl.value || '').trim().toLowerCase();
+// The list as currently shown: search, tier/gamemode filters and sort applied
+function getFilteredList() {
+  const query = parseQuery(($('searchInput') && $('searchInput').value || '').trim());
   const tier = ($('tierFilter') && $('tierFilter').value) || '';
+  const mode = ($('modeFilter') && $('modeFilter').value) || '';
+  const region = ($('regionFilter') && $('regionFilter').value) || '';
   let list = players.slice();
 
-  if (q) {
-    list = list.filter(p =>
-      String(p.name).toLowerCase().includes(q) ||
-      String(p.tier).toLowerCase().includes(q) ||
-      String(p.points).includes(q) ||
-      String(p.rank).includes(q)
-    );
+  if (region) list = list.filter(p => p.region === region);
+  if (!($('showRetired') && $('showRetired').checked)) list = list.filter(p => p.activity !== 'retired');
+  if (!query.empty) list = list.filter(p => matchesQuery(p, query, mode, modeTiers));
+  if (mode) list = list.filter(p => modeTiers(p)[mode]);
+  if (tier) list = list.filter(p => ((mode ? modeTiers(p)[mode] : p.tier) || "") === tier);
+  if (bracketFilter) {
+    const inBracket = bracketTiers(bracketFilter);
+    list = list.filter(p => inBracket.includes(mode ? modeTiers(p)[mode] : p.tier));
   }
-  if (tier) list = list.filter(p => (p.tier || "") === tier);
 
+  // unrated players sort below every rating
+  const value = (p) => sortState.field === 'rating' ? (displayRating(ratings.get(p.id), mode) ?? -Infinity) : p[sortState.field];
   list.sort((a, b) => {
-    const f = sortState.field;
     const dir = sortState.dir === 'asc' ? 1 : -1;
-    if (a[f] < b[f]) return -1 * dir;
-    if (a[f] > b[f]) return 1 * dir;
+    const va = value(a);
+    const vb = value(b);
+    if (va < vb) return -1 * dir;
+    if (va > vb) return 1 * dir;
     return 0;
   });
+  return list;
+}
+
+function applyFiltersAndRender() {
+  renderTable(getFilteredList());
+  const text = ($('searchInput') && $('searchInput').value || '').trim();
+  renderQueryFeedback($('searchFeedback'), text, parseQuery(text));
+}
+
+function renderBracketFilter() {
+  const box = $('bracketFilter');
+  if (!box) return;
+  box.classList.toggle('hidden', !bracketFilter);
+  if (bracketFilter && $('bracketFilterName')) $('bracketFilterName').textContent = `${bracketFilter.name} (${bracketRangeLabel(bracketFilter)})`;
+}
 
-  renderTable(list);
+function clearBracketFilter() {
+  bracketFilter = null;
+  pager.page = 1;
+  const url = new URL(window.location.href);
+  url.searchParams.delete('bracket');
+  if (window.history && window.history.replaceState) window.history.replaceState(null, '', url);
+  renderBracketFilter();
+  applyFiltersAndRender();
+}
+
+function exportFormat() {
+  return ($('exportFormat') && $('exportFormat').value) || 'json';
 }
 
-function downloadJSON(filename = 'players.json') {
-  const data = JSON.stringify(players, null, 2);
-  const blob = new Blob([data], { type: 'application/json' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = filename;
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
-  URL.revokeObjectURL(url);
+// "filtered" exports exactly what the table shows; "all" exports every player
+function exportList() {
+  const scope = ($('exportScope') && $('exportScope').value) || 'filtered';
+  return scope === 'all' ? players.slice().sort((a, b) => (a.rank || 0) - (b.rank || 0)) : getFilteredList();
 }
 
 // reload everything from storage and re-render
 function reloadFromStorage() {
-  players = loadPlayers();
-  tierMapping = loadMapping();
+  combineSources();
   populateTierFilter();
   renderMappingPreview();
+  renderLastUpdated();
   applyFiltersAndRender();
   console.info("players-view: reloaded data from storage");
 }
 
+// An editor saved. Server data is fetched again once the editor has had a moment to send its changes.
+function onDataUpdated() {
+  if (!published || !published.fromServer) return reloadFromStorage();
+  clearTimeout(serverRefreshTimer);
+  serverRefreshTimer = setTimeout(() => loadPublished(), 1000);
+}
+
 // BroadcastChannel listener (fast cross-tab)
 if (bc) {
   bc.onmessage = (ev) => {
     if (!ev || !ev.data) return;
     if (ev.data.type === 'players-updated' || ev.data.type === 'mapping-updated') {
       console.info("players-view: received bc message:", ev.data.type);
-      reloadFromStorage();
+      onDataUpdated();
     }
   };
 } else {
@@ -176,34 +322,48 @@ if (bc) {
 // storage event (fires in other tabs)
 window.addEventListener('storage', (e) => {
   if (!e) return;
-  if (e.key === STORAGE_KEY || e.key === MAPPING_KEY) {
+  if (e.key === STORAGE_KEY || e.key === MAPPING_KEY || e.key === MATCHES_KEY) {
     console.info("players-view: storage event for key:", e.key);
-    reloadFromStorage();
+    onDataUpdated();
   }
 });
 
 // custom events (editor may dispatch these in same tab)
 window.addEventListener('mctiers_players_updated', () => {
   console.info("players-view: received mctiers_players_updated event");
-  reloadFromStorage();
+  onDataUpdated();
 });
 window.addEventListener('mctiers_mapping_updated', () => {
   console.info("players-view: received mctiers_mapping_updated event");
-  reloadFromStorage();
+  onDataUpdated();
 });
 
 document.addEventListener('DOMContentLoaded', () => {
   setYear();
-  players = loadPlayers();
-  tierMapping = loadMapping();
+  bracketFilter = findBracket(new URLSearchParams(window.location.search).get('bracket'));
+  renderBracketFilter();
+  const bracketClearBtn = $('bracketClearBtn');
+  if (bracketClearBtn) bracketClearBtn.addEventListener('click', () => clearBracketFilter());
+  combineSources();
+  renderModeHeaders();
+  populateModeFilter();
+  populateRegionFilter();
   populateTierFilter();
   renderMappingPreview();
+  renderLastUpdated();
   applyFiltersAndRender();
+  loadPublished();
 
   const searchEl = $('searchInput');
   const tierEl = $('tierFilter');
-  if (searchEl) searchEl.addEventListener('input', () => applyFiltersAndRender());
-  if (tierEl) tierEl.addEventListener('change', () => applyFiltersAndRender());
+  const modeEl = $('modeFilter');
+  const refilter = () => { pager.page = 1; applyFiltersAndRender(); };
+  if (searchEl) searchEl.addEventListener('input', debounce(refilter, SEARCH_DEBOUNCE_MS));
+  if (tierEl) tierEl.addEventListener('change', refilter);
+  if (modeEl) modeEl.addEventListener('change', refilter);
+  if ($('regionFilter')) $('regionFilter').addEventListener('change', refilter);
+  if ($('showRetired')) $('showRetired').addEventListener('change', refilter);
+  initPager($('tablePager'), pager, () => applyFiltersAndRender());
 
   // sorting header clicks
   document.querySelectorAll('#playersTable thead th[data-sort]').forEach(h => {
@@ -213,12 +373,31 @@ document.addEventListener('DOMContentLoaded', () => {
         sortState.dir = sortState.dir === 'asc' ? 'desc' : 'asc';
       } else {
         sortState.field = field;
-        sortState.dir = 'asc';
+        sortState.dir = field === 'rating' ? 'desc' : 'asc';
       }
+      pager.page = 1;
       applyFiltersAndRender();
     });
   });
 
   const exportBtn = $('exportBtn');
-  if (exportBtn) exportBtn.addEventListener('click', () => downloadJSON());
+  const copyExportBtn = $('copyExportBtn');
+  if (exportBtn) exportBtn.addEventListener('click', () => {
+    exportPlayers(exportFormat(), exportList(), { players, tierMapping, history: loadHistory() });
+  });
+  if (copyExportBtn) copyExportBtn.addEventListener('click', async () => {
+    const ok = await copyExport(exportFormat(), exportList());
+    copyExportBtn.textContent = ok ? 'Copied!' : 'Copy failed';
+    setTimeout(() => { copyExportBtn.textContent = 'Copy'; }, 1500);
+  });
+
+  // player name -> tier history timeline
+  const tbody = $('playersBody');
+  if (tbody) tbody.addEventListener('click', (e) => {
+    const link = e.target.closest('a.player-link');
+    if (!link) return;
+    e.preventDefault();
+    const player = players.find(p => p.id === link.dataset.id);
+    openTimeline(player, (published && published.fromServer && player) ? () => apiHistory(player.id) : null);
+  });
 });
\ No newline at end of file
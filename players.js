@@ -1,119 +1,865 @@
-/* players.js — simplified editor (no admin gating) with mapping and live-update broadcasts
+/* players.js — players editor with mapping, tester/admin accounts (server mode) and live-update broadcasts
    Replace your existing assets/players.js with this file.
 
    What this does:
-   - Removes the client-side "admin/login" gating so editing always works
-   - Preserves all features: players list, import (CSV/JSON), export, mapping UI, apply mapping, sort/filter
+   - Local mode: this browser's own list, every control is available
+   - Server mode: sign in with a tester or admin account (see server/auth.js). Testers may only change the tiers of
+     existing players; admins may also add, rename and delete players, edit the mapping and ranking, import and clear.
+     Controls are shown by role (`.editor-only` needs any account, `.admin-only` an admin) and the server enforces
+     the same rules on every write, attributing each change to the signed-in account
+   - Preserves all features: players list, import (CSV/JSON/backup, previewed and validated before saving),
+     export (JSON, CSV, Markdown, Discord, full backup — see export.js), mapping UI, apply mapping, sort/filter
+   - Every player has a persistent `id` (and optional Minecraft `uuid`); edit/delete/import key records by it
+   - Each player holds a tier per gamemode (`tiers`); `tier` is the best of those and `points` the mapped sum
+   - Ranks are computed from points on every save (ranking.js + rank settings); `rankOverride` pins a manual rank
+   - Multi-step undo/redo (Ctrl+Z / Ctrl+Shift+Z or Ctrl+Y) for every change to players or mapping, kept for the tab session
+   - Every save appends tier/points changes to the history log (history.js), attributed to the "Tested / entered by" name
+     (in server mode the server keeps the history, attributed to the account)
    - Broadcasts updates via BroadcastChannel and dispatches window events so read-only views update automatically
-   - On load it also unhides any elements that were marked `.admin-only` in the HTML so older pages still show controls
+   - Reads/writes players and mapping through storage.js (schema versions, migrations, validation, quarantine)
+   - Optional server mode (api.js + server/server.js): local storage becomes a working copy and every save is
+     sent to the REST API; the "Data source" section switches between this browser and the server
+   - Row checkboxes (select-all covers the filtered view) with bulk actions: set a gamemode tier, add or subtract
+     points, re-apply the mapping to the selection, delete. Double-click a gamemode tier or the points to edit it in place.
+     Every bulk or inline change is one undo step and goes through savePlayers like any other save
+   - Search box takes queries like `tier:>=HT3 points:<50 name:blade mode:sword` (query.js), next to the dropdowns
+   - Large lists stay fast: debounced search over precomputed name keys, one page of rows at a time with a
+     page-size selector, and one delegated click handler for the row buttons (table.js)
+   - Match results (rating.js): testers record matches, the optional Rating column shows each player's Elo-style
+     rating (per gamemode when one is filtered) and ↑ / ↓ marks players whose rating no longer fits their tier
+   - Regions (REGIONS in storage.js): each player may have a region and a country flag; the Region column shows the
+     rank within the region next to the global rank, and the region dropdown filters the table
+   - Webhooks (webhooks.js): admins point Discord-style webhooks at promotions, demotions, new players and mapping
+     changes, edit the message templates, send a test message and read the delivery log. Saves made close together
+     (a bulk edit, an import) go out as one message. In server mode the server sends them for every account's changes
+   - Activity (ranking.js): new tiers stamp `lastTested`, matches stamp `lastActive`; admins can set a status by hand
+     or let the Ranking settings mark players inactive / retired after a number of days. The optional decay rule
+     lowers the points or tiers of players who stay away; in local mode it runs when the editor opens
 
    Storage keys:
-   - players: "mctiers_players_v1"
-   - mapping: "mctiers_tier_mapping_v1"
-
-   NOTE: This is still a purely client-side editor. Anyone with access to the site can edit data.
+   - players: "mctiers_players_v1" and mapping: "mctiers_tier_mapping_v1" (see storage.js)
+   - rank settings: "mctiers_rank_settings_v1" (see ranking.js)
+   - history: "mctiers_history_v1" (see history.js)
+   - tester name: "mctiers_tester_name_v1"
+   - undo/redo stacks: "mctiers_undo_v1" (sessionStorage)
+   - data source: "mctiers_backend_v1" (see api.js)
+   - matches: "mctiers_matches_v1" (see rating.js)
+   - rows per page: "mctiers_page_size_v1" (see table.js)
+   - webhooks: "mctiers_webhooks_v1" and delivery log: "mctiers_webhook_log_v1" (see webhooks.js)
+
+   NOTE: In local mode this is a purely client-side editor: it only changes the data in this browser.
 */
 
-const STORAGE_KEY = "mctiers_players_v1";
-const MAPPING_KEY = "mctiers_tier_mapping_v1";
-const CHANNEL_NAME = "mctiers_channel";
-
-// Tier order & default mapping (edit values if desired)
-const TIER_ORDER = ["LT5","HT5","LT4","HT4","LT3","HT3","LT2","HT2","LT1","HT1"];
-const mappingDefault = {
-  LT5: 10, HT5: 20, LT4: 30, HT4: 40, LT3: 50,
-  HT3: 60, LT2: 70, HT2: 80, LT1: 90, HT1: 100
-};
+const TESTER_KEY = "mctiers_tester_name_v1";
+const UNDO_KEY = "mctiers_undo_v1";
+const UNDO_LIMIT = 30;
 
 // Example seed players
 const initialData = [
-  { rank: 1, name: "XxPvPProxX", tier: "HT1", points: mappingDefault.HT1 },
-  { rank: 2, name: "SharpBlade", tier: "LT2", points: mappingDefault.LT2 },
-  { rank: 3, name: "NoobSlayer", tier: "LT5", points: mappingDefault.LT5 }
+  { rank: 1, name: "XxPvPProxX", tier: "HT1", tiers: { crystal: "HT1", sword: "LT2" }, points: mappingDefault.HT1 + mappingDefault.LT2 },
+  { rank: 2, name: "SharpBlade", tier: "LT2", tiers: { sword: "LT2", axe: "HT3" }, points: mappingDefault.LT2 + mappingDefault.HT3 },
+  { rank: 3, name: "NoobSlayer", tier: "LT5", tiers: { crystal: "LT5" }, points: mappingDefault.LT5 }
 ];
 
 // Broadcast channel (if supported)
 const bc = (typeof window !== 'undefined' && 'BroadcastChannel' in window) ? new BroadcastChannel(CHANNEL_NAME) : null;
 
-let players = loadPlayers();
-let tierMapping = loadMapping();
+let storageStatus = { players: null, mapping: null }; // last read results, shown as a warning when data was quarantined
+// loaded on DOMContentLoaded (loading migrates and quarantines stored data, so it must happen only once)
+let tierMapping = {};
+let rankSettings = { ...rankSettingsDefault };
+let players = [];
+let undoStacks = loadUndoStacks();
 let sortState = { field: "rank", dir: "asc" };
-let editingId = null;
+let editingId = null; // id of the player loaded into the form, null when adding
+let pager = createPager();
+let selectedIds = new Set(); // ids of the rows ticked for bulk actions
+let account = null; // signed-in server account { id, username, role }, null when signed out or in local mode
+let syncQueue = Promise.resolve(); // server requests run one after another, in save order
+let pendingSyncs = 0;
+let matches = loadMatches();
+let ratings = computeRatings(matches); // playerId -> rating stats, replayed from `matches`
+let webhookConfig = loadWebhookConfig(); // this browser's settings, or the server's while an admin is signed in
 
 /* ---------------------- storage helpers ---------------------- */
 
 function loadPlayers() {
+  const res = readPlayersStore();
+  if (res.corrupt || res.problems.length) storageStatus.players = res;
+  // only a first visit gets the example players; unreadable data is quarantined and the list starts empty
+  if (res.missing) return seedPlayers();
+  const list = computeRanks(res.players.map(normalizePlayer), rankSettings);
+  // persist migrations, dropped (quarantined) records and corrected ranks right away so they stay stable
+  const stale = res.migrated || res.problems.length || list.some(p => {
+    const old = res.players.find(o => o.id === p.id);
+    return !old || old.rank !== p.rank;
+  });
+  if (stale && !res.corrupt) writePlayersStore(list);
+  return list;
+}
+
+function seedPlayers() {
+  const list = computeRanks(initialData.map(normalizePlayer), rankSettings);
+  writePlayersStore(list);
+  return list;
+}
+
+// What is currently saved (used to diff against before saving)
+function loadStoredPlayers() {
+  return readPlayersStore({ readOnly: true }).players;
+}
+
+// opts.source tags the broadcast (e.g. "undo") and opts.note is added to the history entries;
+// opts.replace marks a list replaced as a whole (import, clear, undo), which an admin may send as one bulk replace
+function savePlayers(opts = {}) {
+  const before = loadStoredPlayers();
+  stampPointsChanges(before, { tested: opts.source !== 'decay' });
+  players = computeRanks(players, rankSettings);
+  appendHistory(diffForHistory(before, players, testerName(), opts.note));
+  announceChanges(playerWebhookEvents(before, players, testerName()));
+  writePlayersStore(players);
+  renderMatches(); // names and tiers behind the suggestions may have changed
+  if (usingApi()) {
+    const after = players;
+    // only admins may replace the whole list; everything else goes out record by record
+    const allowBulk = !!opts.replace && canDo('admin');
+    queueSync('players', async () => applyServerPlayers(await apiSyncPlayers(before, after, { allowBulk })));
+  }
+  try { if (bc) bc.postMessage({ type: 'players-updated', source: opts.source }); } catch(e){/*ignore*/ }
+  window.dispatchEvent(new Event('mctiers_players_updated'));
+}
+
+function loadMapping() {
+  const res = readMappingStore();
+  if (res.corrupt) storageStatus.mapping = res;
+  if (res.missing || res.migrated) writeMappingStore(res.mapping);
+  return res.mapping;
+}
+
+// Name of whoever is testing / entering changes; remembered so it does not need retyping
+function testerName() {
+  if (usingApi() && account) return account.username;
+  const el = $('pTestedBy');
+  const name = (el && el.value || "").trim();
+  if (name) localStorage.setItem(TESTER_KEY, name);
+  return name || localStorage.getItem(TESTER_KEY) || "";
+}
+
+// opts.push === false keeps the change in this browser (the server only takes mapping changes from admins)
+function saveMapping(opts = {}) {
+  const before = readMappingStore({ readOnly: true }).mapping;
+  writeMappingStore(tierMapping);
+  announceChanges(mappingWebhookEvents(before, tierMapping, testerName()));
+  if (usingApi() && opts.push !== false) {
+    const mapping = { ...tierMapping };
+    queueSync('mapping', () => apiRequest('PUT', 'api/mapping', mapping));
+  }
+  try { if (bc) bc.postMessage({ type: 'mapping-updated', source: opts.source }); } catch(e){/*ignore*/ }
+  window.dispatchEvent(new Event('mctiers_mapping_updated'));
+}
+
+/* ---------------------- server (API mode) ---------------------- */
+
+function setSyncStatus(text, isError) {
+  const el = $('syncStatus');
+  if (!el) return;
+  el.textContent = text;
+  el.style.color = isError ? '#ff6b6b' : '';
+}
+
+// Runs `task` after every earlier server request; failures are shown but do not stop later saves
+function queueSync(label, task) {
+  pendingSyncs++;
+  setSyncStatus('Saving to server…');
+  syncQueue = syncQueue.then(task).then(() => {
+    if (--pendingSyncs === 0) setSyncStatus(`Saved to server at ${new Date().toLocaleTimeString()}.`);
+  }, (err) => {
+    pendingSyncs--;
+    console.error(`Failed to save ${label} to the server:`, err);
+    setSyncStatus(`Could not save ${label} to the server (${err.message}). Use "Use this source" to reload the server's data.`, true);
+  });
+  return syncQueue;
+}
+
+// The server recomputes points and ranks; take its list once nothing newer is waiting to be sent
+function applyServerPlayers(list) {
+  if (pendingSyncs > 1) return;
+  players = computeRanks(list.map(normalizePlayer), rankSettings);
+  writePlayersStore(players);
+  populateTierFilter();
+  renderMatches();
+  applyFiltersAndRender();
+}
+
+// Replaces the working copy with the server's players, mapping and rank settings
+async function pullFromServer() {
+  setSyncStatus('Loading from server…');
+  const data = await apiLoadAll();
+  tierMapping = { ...mappingDefault, ...data.mapping };
+  rankSettings = { ...rankSettingsDefault, ...data.rankSettings };
+  writeMappingStore(tierMapping);
+  saveRankSettings(rankSettings);
+  players = computeRanks(data.players.map(normalizePlayer), rankSettings);
+  writePlayersStore(players);
+  setMatches(data.matches);
+  populateMappingUI();
+  populateRankSettingsUI();
+  populateTierFilter();
+  applyFiltersAndRender();
+  setSyncStatus(`Loaded ${players.length} player(s) from the server at ${new Date().toLocaleTimeString()}.`);
+}
+
+// First upload of this browser's list to an empty server
+async function pushToServer() {
+  setSyncStatus('Uploading to server…');
+  await apiRequest('PUT', 'api/mapping', tierMapping);
+  await apiRequest('PUT', 'api/rank-settings', rankSettings);
+  await apiRequest('PUT', 'api/players', players);
+}
+
+// Loads the server's list; an empty server gets this browser's list when an admin is signed in
+async function syncWithServer(remote) {
+  if (!remote.length && players.length) {
+    if (!canDo('admin')) {
+      setSyncStatus(`The server has no players yet. Sign in as an admin to upload the ${players.length} player(s) from this browser.`);
+      return;
+    }
+    if (confirm(`The server has no players yet. Upload the ${players.length} player(s) from this browser?`)) await pushToServer();
+  }
+  await pullFromServer();
+}
+
+async function applyBackendFromUI() {
+  const backend = {
+    mode: ($('backendMode') && $('backendMode').value) || 'local',
+    baseUrl: (($('backendUrl') && $('backendUrl').value) || '').trim()
+  };
+  if (backend.mode === 'local') {
+    saveBackend(backend);
+    account = null;
+    applyRoleToUI();
+    setSyncStatus('Saving to this browser only. The list below is the last copy loaded from or saved to the server.');
+    return;
+  }
+  const previous = loadBackend();
+  saveBackend(backend);
   try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (!raw) {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(initialData));
-      return [...initialData];
+    const user = await apiCurrentUser();
+    const remote = await apiRequest('GET', 'api/players');
+    if (remote.length && players.length && !confirm("Replace the list in this browser with the server's list? Export a backup first if you need this copy.")) {
+      saveBackend(previous);
+      populateBackendUI();
+      setSyncStatus('Kept the current data source.');
+      return;
     }
-    const parsed = JSON.parse(raw);
-    if (!Array.isArray(parsed)) throw new Error("Invalid data");
-    return parsed;
-  } catch (e) {
-    console.error("Failed to load players:", e);
-    localStorage.removeItem(STORAGE_KEY);
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(initialData));
-    return [...initialData];
+    account = user;
+    applyRoleToUI();
+    await syncWithServer(remote);
+  } catch (err) {
+    saveBackend(previous);
+    populateBackendUI();
+    setSyncStatus(`Could not reach the server (${err.message}); the data source was not changed.`, true);
   }
 }
 
-function savePlayers() {
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(players));
-  try { if (bc) bc.postMessage({ type: 'players-updated' }); } catch(e){/*ignore*/ }
-  window.dispatchEvent(new Event('mctiers_players_updated'));
+function populateBackendUI() {
+  const backend = loadBackend();
+  if ($('backendMode')) $('backendMode').value = backend.mode;
+  if ($('backendUrl')) $('backendUrl').value = backend.baseUrl;
 }
 
-function loadMapping() {
+/* ---------------------- accounts & roles (server mode) ---------------------- */
+
+// "admin" in local mode (it is this browser's own list); the account's role or null in server mode
+function currentRole() {
+  if (!usingApi()) return 'admin';
+  return account ? account.role : null;
+}
+
+// canDo('tester') is true for testers and admins
+function canDo(role) {
+  const r = currentRole();
+  return role === 'admin' ? r === 'admin' : !!r;
+}
+
+// Shows the controls the current role may use. The server checks every write again; this only keeps the UI honest.
+function applyRoleToUI() {
+  document.querySelectorAll('.admin-only').forEach(el => el.classList.toggle('hidden', !canDo('admin')));
+  document.querySelectorAll('.editor-only').forEach(el => el.classList.toggle('hidden', !canDo('tester')));
+  document.querySelectorAll('.local-only').forEach(el => el.classList.toggle('hidden', usingApi()));
+  // testers keep the name visible to see whom they are testing, but cannot change it
+  if ($('pName')) $('pName').readOnly = !canDo('admin');
+
+  const box = $('accountBox');
+  if (box) box.classList.toggle('hidden', !usingApi());
+  if ($('loginForm')) $('loginForm').classList.toggle('hidden', !!account);
+  if ($('accountInfo')) $('accountInfo').classList.toggle('hidden', !account);
+  if ($('accountName')) $('accountName').textContent = account ? `${account.username} (${account.role})` : '';
+  applyFiltersAndRender();
+  loadWebhookSettings();
+}
+
+async function login() {
+  const username = ($('loginUser') && $('loginUser').value || '').trim();
+  const password = ($('loginPassword') && $('loginPassword').value) || '';
+  if (!username || !password) { setSyncStatus('Enter your username and password.', true); return; }
   try {
-    const raw = localStorage.getItem(MAPPING_KEY);
-    if (!raw) {
-      localStorage.setItem(MAPPING_KEY, JSON.stringify(mappingDefault));
-      return { ...mappingDefault };
+    account = await apiLogin(username, password);
+    $('loginPassword').value = '';
+    applyRoleToUI();
+    await syncWithServer(await apiRequest('GET', 'api/players'));
+  } catch (err) {
+    setSyncStatus(`Sign-in failed: ${err.message}.`, true);
+  }
+}
+
+async function logout() {
+  try {
+    await apiLogout();
+  } catch (err) {
+    console.warn("Sign-out request failed:", err);
+  }
+  account = null;
+  resetForm();
+  applyRoleToUI();
+  setSyncStatus('Signed out. The list is read-only until you sign in again.');
+}
+
+/* ---------------------- matches & ratings ---------------------- */
+
+// Keeps the working copy of the match list and re-renders everything that shows ratings.
+// opts.broadcast tells open Rankings pages to reload (only for changes made here, not for loads).
+function setMatches(list, opts = {}) {
+  matches = list;
+  saveMatches(matches);
+  ratings = computeRatings(matches);
+  renderMatches();
+  applyFiltersAndRender();
+  if (!opts.broadcast) return;
+  try { if (bc) bc.postMessage({ type: 'players-updated', source: 'matches' }); } catch(e){/*ignore*/ }
+  window.dispatchEvent(new Event('mctiers_players_updated'));
+}
+
+function showRating() {
+  return !!($('showRating') && $('showRating').checked);
+}
+
+function playerName(id) {
+  const p = players[findPlayerIndex(id)];
+  return p ? p.name : '(deleted player)';
+}
+
+// Name suggestions for the match form, rebuilt on focus only when the list changed (it can be thousands long)
+let matchNamesFor = null;
+function populateMatchNames() {
+  const datalist = $('matchPlayerNames');
+  if (!datalist || matchNamesFor === players) return;
+  matchNamesFor = players;
+  datalist.innerHTML = players.map(p => `<option value="${escapeHtml(p.name)}"></option>`).join('');
+}
+
+function populateMatchForm() {
+  const modeSel = $('mMode');
+  if (modeSel && !modeSel.options.length) {
+    modeSel.innerHTML = GAMEMODES.map(m => `<option value="${m.id}">${escapeHtml(m.label)}</option>`).join('');
+  }
+  if ($('mDate') && !$('mDate').value) $('mDate').value = new Date().toISOString().slice(0, 10);
+}
+
+// Id of the player with this name, or the typed text (validateMatch then reports it as not on the list)
+function matchPlayerId(name) {
+  const p = players.find(x => nameKey(x.name) === nameKey(name));
+  return p ? p.id : String(name || '').trim();
+}
+
+async function recordMatch() {
+  const input = {
+    a: matchPlayerId($('mPlayerA').value), b: matchPlayerId($('mPlayerB').value),
+    scoreA: $('mScoreA').value === '' ? NaN : Number($('mScoreA').value),
+    scoreB: $('mScoreB').value === '' ? NaN : Number($('mScoreB').value),
+    mode: $('mMode').value, date: $('mDate').value
+  };
+  const problems = validateMatch(input, players);
+  if (problems.length) { alert(`Cannot record this match: ${problems.join(', ')}.`); return; }
+  if (usingApi()) {
+    try {
+      await apiRequest('POST', 'api/matches', input);
+      setMatches(await apiRequest('GET', 'api/matches'), { broadcast: true });
+    } catch (err) {
+      setSyncStatus(`Could not record the match (${err.message}).`, true);
+      return;
     }
-    const parsed = JSON.parse(raw);
-    return { ...mappingDefault, ...parsed };
-  } catch (e) {
-    console.error("Failed to load mapping:", e);
-    localStorage.removeItem(MAPPING_KEY);
-    localStorage.setItem(MAPPING_KEY, JSON.stringify(mappingDefault));
-    return { ...mappingDefault };
+    // the server also moved both players' lastActive
+    queueSync('players', async () => applyServerPlayers(await apiRequest('GET', 'api/players')));
+  } else {
+    const match = newMatch(input, testerName());
+    players = players.map(p => (p.id === match.a || p.id === match.b) && !(p.lastActive >= match.date) ? { ...p, lastActive: match.date } : p);
+    savePlayers();
+    setMatches(matches.concat(match), { broadcast: true });
   }
+  $('mScoreA').value = '';
+  $('mScoreB').value = '';
 }
 
-function saveMapping() {
-  localStorage.setItem(MAPPING_KEY, JSON.stringify(tierMapping));
-  try { if (bc) bc.postMessage({ type: 'mapping-updated' }); } catch(e){/*ignore*/ }
-  window.dispatchEvent(new Event('mctiers_mapping_updated'));
+async function deleteMatch(id) {
+  const m = matches.find(x => x.id === id);
+  if (!m || !confirm(`Delete the match ${playerName(m.a)} vs ${playerName(m.b)} (${m.date})?`)) return;
+  if (usingApi()) {
+    try {
+      await apiRequest('DELETE', `api/matches/${encodeURIComponent(id)}`);
+      setMatches(await apiRequest('GET', 'api/matches'), { broadcast: true });
+    } catch (err) {
+      setSyncStatus(`Could not delete the match (${err.message}).`, true);
+    }
+    return;
+  }
+  setMatches(matches.filter(x => x.id !== id), { broadcast: true });
+}
+
+// Newest matches first, plus every player whose rating suggests a different tier
+function renderMatches() {
+  const list = $('matchList');
+  if (list) {
+    const recent = matches.slice().sort((x, y) => (y.date > x.date ? 1 : y.date < x.date ? -1 : 0)).slice(0, 20);
+    const modeLabel = (id) => (GAMEMODES.find(g => g.id === id) || { label: id }).label;
+    list.innerHTML = recent.length ? recent.map(m => `
+      <li class="timeline-item">
+        <strong>${escapeHtml(playerName(m.a))}</strong> ${escapeHtml(m.scoreA)}–${escapeHtml(m.scoreB)} <strong>${escapeHtml(playerName(m.b))}</strong>
+        <span class="muted small">${escapeHtml(modeLabel(m.mode))} · ${escapeHtml(m.date)}${m.recordedBy ? ` · by ${escapeHtml(m.recordedBy)}` : ''}</span>
+        ${canDo('admin') ? `<button class="btn" type="button" data-action="delete-match" data-id="${escapeHtml(m.id)}">Delete</button>` : ''}
+      </li>`).join('') : '<li class="muted small">No matches recorded yet.</li>';
+  }
+  const flagsEl = $('ratingFlags');
+  if (flagsEl) {
+    const rows = [];
+    players.forEach(p => ratingFlags(p, ratings.get(p.id)).forEach(f => rows.push({ p, f })));
+    flagsEl.innerHTML = rows.length ? rows.map(({ p, f }) => `
+      <li><span class="rating-flag ${f.kind}">${f.kind === 'promotion' ? '↑' : '↓'}</span> <strong>${escapeHtml(p.name)}</strong>
+        ${escapeHtml((GAMEMODES.find(g => g.id === f.mode) || { label: f.mode }).label)} ${escapeHtml(f.tier)}:
+        rating ${escapeHtml(f.rating)} after ${escapeHtml(f.games)} games (tier expects about ${escapeHtml(f.expected)})</li>`).join('')
+      : `<li class="muted small">No suggestions. Players need ${RATING_MIN_GAMES} games in a gamemode and a rating ${RATING_FLAG_MARGIN} away from their tier's.</li>`;
+  }
+  populateMatchForm();
+}
+
+/* ---------------------- webhooks ---------------------- */
+
+// Local mode only: the server announces changes itself in server mode
+const queueWebhookEvents = createWebhookBatcher(async (events) => {
+  appendWebhookLog(await deliverWebhooks(events, webhookConfig, (url, init) => fetch(url, init)));
+  renderWebhookLog();
+});
+
+function announceChanges(events) {
+  if (usingApi() || !events.length || !webhookConfig.hooks.some(h => h.enabled)) return;
+  queueWebhookEvents(events);
+}
+
+function setWebhookStatus(text, isError) {
+  const el = $('webhookStatus');
+  if (!el) return;
+  el.textContent = text;
+  el.style.color = isError ? '#ff6b6b' : '';
+}
+
+async function loadWebhookSettings() {
+  if (!$('webhookList') || !canDo('admin')) return;
+  if (usingApi()) {
+    try {
+      webhookConfig = await apiRequest('GET', 'api/webhooks');
+    } catch (err) {
+      setWebhookStatus(`Could not load the server's webhooks (${err.message}).`, true);
+      return;
+    }
+  } else {
+    webhookConfig = loadWebhookConfig();
+  }
+  renderWebhookSettings();
+  renderWebhookLog();
+}
+
+function webhookRowHtml(h) {
+  const input = 'padding:0.4rem;border-radius:8px;border:1px solid rgba(255,255,255,0.03);background:transparent;color:var(--accent-text)';
+  return `
+    <div class="webhook-row" data-id="${escapeHtml(h.id)}">
+      <input data-field="name" type="text" placeholder="Name (e.g. #tier-updates)" value="${escapeHtml(h.name)}" aria-label="Webhook name" style="width:170px;${input}">
+      <input data-field="url" type="url" placeholder="https://discord.com/api/webhooks/…" value="${escapeHtml(h.url)}" aria-label="Webhook URL" spellcheck="false" style="flex:1;min-width:220px;${input}">
+      ${WEBHOOK_EVENTS.map(e => `<label class="muted small"><input type="checkbox" data-event="${e.id}" ${h.events.includes(e.id) ? 'checked' : ''}> ${escapeHtml(e.label)}</label>`).join('')}
+      <label class="muted small"><input type="checkbox" data-field="enabled" ${h.enabled ? 'checked' : ''}> On</label>
+      <button class="btn" type="button" data-action="test-webhook">Test</button>
+      <button class="btn" type="button" data-action="remove-webhook">Remove</button>
+    </div>`;
+}
+
+// Rows being edited; they only take effect once saved
+function renderWebhookRows(hooks) {
+  const list = $('webhookList');
+  if (!list) return;
+  list.innerHTML = hooks.length ? hooks.map(webhookRowHtml).join('')
+    : '<p class="muted small" style="margin:0">No webhooks yet.</p>';
+}
+
+function renderWebhookSettings() {
+  renderWebhookRows(webhookConfig.hooks);
+  if ($('webhookUsername')) $('webhookUsername').value = webhookConfig.username;
+  WEBHOOK_EVENTS.forEach(e => {
+    const inp = $('webhookTemplate_' + e.id);
+    if (inp) inp.value = webhookConfig.templates[e.id];
+  });
+}
+
+function readWebhookSettingsFromUI() {
+  const hooks = Array.from(document.querySelectorAll('#webhookList .webhook-row')).map(row => ({
+    id: row.dataset.id,
+    name: row.querySelector('[data-field="name"]').value,
+    url: row.querySelector('[data-field="url"]').value,
+    events: Array.from(row.querySelectorAll('input[data-event]:checked')).map(c => c.dataset.event),
+    enabled: row.querySelector('[data-field="enabled"]').checked
+  }));
+  const templates = {};
+  WEBHOOK_EVENTS.forEach(e => { if ($('webhookTemplate_' + e.id)) templates[e.id] = $('webhookTemplate_' + e.id).value; });
+  return normalizeWebhookConfig({ username: $('webhookUsername') && $('webhookUsername').value, hooks, templates });
+}
+
+async function saveWebhookSettings() {
+  const cfg = readWebhookSettingsFromUI();
+  const problems = validateWebhookConfig(cfg);
+  if (problems.length) { setWebhookStatus(`Not saved: ${problems.join('; ')}.`, true); return; }
+  if (usingApi()) {
+    try {
+      webhookConfig = await apiRequest('PUT', 'api/webhooks', cfg);
+    } catch (err) {
+      setWebhookStatus(`Could not save the webhooks (${err.message}).`, true);
+      return;
+    }
+  } else {
+    webhookConfig = cfg;
+    saveWebhookConfig(webhookConfig);
+  }
+  renderWebhookSettings();
+  setWebhookStatus(`Saved at ${new Date().toLocaleTimeString()}.`);
+}
+
+function addWebhookRow() {
+  const hooks = readWebhookSettingsFromUI().hooks;
+  hooks.push(normalizeWebhookConfig({ hooks: [{}] }).hooks[0]);
+  renderWebhookRows(hooks);
+  setWebhookStatus('Add the URL, then save.');
+}
+
+// Sends the sample message to one row's webhook as typed (saved or not)
+async function testWebhook(id) {
+  const cfg = readWebhookSettingsFromUI();
+  const hook = cfg.hooks.find(h => h.id === id);
+  if (!hook) return;
+  const problems = validateWebhookConfig({ hooks: [hook] });
+  if (problems.length) { setWebhookStatus(problems.join('; '), true); return; }
+  setWebhookStatus('Sending a test message…');
+  let entry;
+  if (usingApi()) {
+    try {
+      [entry] = await apiRequest('POST', 'api/webhooks/test', { hook });
+    } catch (err) {
+      setWebhookStatus(`Test failed: ${err.message}.`, true);
+      return;
+    }
+  } else {
+    entry = await sendWebhook(hook, webhookTestPayload(cfg), (url, init) => fetch(url, init), { test: true });
+    appendWebhookLog([entry]);
+  }
+  setWebhookStatus(entry.ok ? `Test message delivered (HTTP ${entry.status}).` : `Test message failed: ${entry.error}.`, !entry.ok);
+  renderWebhookLog();
+}
+
+// Newest deliveries first
+async function renderWebhookLog() {
+  const el = $('webhookLog');
+  if (!el || !canDo('admin')) return;
+  let log;
+  try {
+    log = usingApi() ? await apiRequest('GET', 'api/webhooks/log') : loadWebhookLog();
+  } catch (err) {
+    el.innerHTML = `<li class="muted small">Could not load the delivery log (${escapeHtml(err.message)}).</li>`;
+    return;
+  }
+  el.innerHTML = log.length ? log.slice().reverse().map(e => `
+    <li class="timeline-item">
+      <strong style="color:${e.ok ? '#4ade80' : '#f87171'}">${e.ok ? 'Delivered' : 'Failed'}</strong>
+      ${escapeHtml(e.hook)}${e.test ? ' · test message' : ` · ${escapeHtml(e.count)} change(s)`}
+      <span class="muted small">${escapeHtml(new Date(e.at).toLocaleString())}${e.ok ? '' : ` · ${escapeHtml(e.error)}`}</span>
+    </li>`).join('') : '<li class="muted small">Nothing sent yet.</li>';
 }
 
 /* ---------------------- utility ---------------------- */
 
 function $(id) { return document.getElementById(id); }
+function findPlayerIndex(id) { return players.findIndex(p => p.id === id); }
+function nameKey(name) { return String(name || "").trim().toLowerCase(); }
+
+// Minecraft UUIDs are stored dashed and lower-case; returns "" for blank and null for malformed input
+function normalizeUuid(v) {
+  const hex = String(v || "").trim().toLowerCase().replace(/-/g, "");
+  if (!hex) return "";
+  if (!/^[0-9a-f]{32}$/.test(hex)) return null;
+  return `${hex.slice(0,8)}-${hex.slice(8,12)}-${hex.slice(12,16)}-${hex.slice(16,20)}-${hex.slice(20)}`;
+}
+
+// Dates are kept as YYYY-MM-DD; anything else becomes ""
+function normalizeDate(v) {
+  const s = String(v || "").trim().slice(0, 10);
+  return /^\d{4}-\d{2}-\d{2}$/.test(s) && !Number.isNaN(Date.parse(s)) ? s : "";
+}
+
+// Two-letter country codes are kept upper-case; anything else becomes ""
+function normalizeCountry(v) {
+  const c = String(v || "").trim().toUpperCase();
+  return /^[A-Z]{2}$/.test(c) ? c : "";
+}
+
+// Tooltip of the name cell
+function playerTitle(p) {
+  return [
+    p.uuid && `UUID ${p.uuid}`,
+    p.lastTested && `Last tested ${p.lastTested}`,
+    p.lastActive && `Last active ${p.lastActive}`,
+    p.status && `Status set to ${p.status}`
+  ].filter(Boolean).join(' · ');
+}
 function escapeHtml(s) {
   if (s === null || s === undefined) return '';
   return String(s).replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;");
 }
 
+/* ---------------------- gamemode tiers ---------------------- */
+
+// Reads per-mode tiers from a `tiers` object or flat columns (e.g. CSV headers "crystal", "sword").
+// Records from before gamemodes existed only carry `tier`, which was always the CrystalPvP tier.
+function normalizeModeTiers(item) {
+  const src = (item.tiers && typeof item.tiers === 'object') ? item.tiers : {};
+  const tiers = {};
+  GAMEMODES.forEach(m => {
+    const v = src[m.id] ?? item[m.id] ?? item[m.label];
+    const t = (v ?? "").toString().trim();
+    if (t) tiers[m.id] = t;
+  });
+  const legacy = (item.tier || item.Tier || item.TIER || "").toString().trim();
+  if (!item.tiers && !Object.keys(tiers).length && legacy) tiers.crystal = legacy;
+  return tiers;
+}
+
+// Highest tier (by TIER_ORDER) across all modes; used as the player's overall tier
+function bestTier(tiers) {
+  const vals = Object.values(tiers || {}).filter(Boolean);
+  if (!vals.length) return "";
+  return vals.reduce((best, t) => TIER_ORDER.indexOf(t) > TIER_ORDER.indexOf(best) ? t : best);
+}
+
+// Overall points = sum of the mapped points of every mode tier
+function pointsFromTiers(tiers) {
+  return Object.values(tiers || {}).reduce((sum, t) => sum + (Number(tierMapping[t]) || 0), 0);
+}
+
+/* ---------------------- undo / redo ---------------------- */
+
+// Snapshots of { players, tierMapping } taken before each mutation. Stored in sessionStorage so the
+// stacks survive a reload of this tab but not closing it.
+function loadUndoStacks() {
+  try {
+    const parsed = JSON.parse(sessionStorage.getItem(UNDO_KEY) || "null");
+    if (parsed && Array.isArray(parsed.undo) && Array.isArray(parsed.redo)) return parsed;
+  } catch (e) {
+    console.warn("Failed to load undo stacks:", e);
+  }
+  return { undo: [], redo: [] };
+}
+
+function saveUndoStacks() {
+  // drop the oldest steps until the stacks fit into sessionStorage
+  while (true) {
+    try {
+      sessionStorage.setItem(UNDO_KEY, JSON.stringify(undoStacks));
+      break;
+    } catch (e) {
+      if (!undoStacks.undo.length && !undoStacks.redo.length) break;
+      if (undoStacks.undo.length >= undoStacks.redo.length) undoStacks.undo.shift();
+      else undoStacks.redo.shift();
+    }
+  }
+  updateUndoButtons();
+}
+
+function snapshot(label) {
+  return { label, players: JSON.parse(JSON.stringify(players)), tierMapping: { ...tierMapping }, rankSettings: { ...rankSettings } };
+}
+
+// Call right before mutating `players`, `tierMapping` or `rankSettings`
+function recordUndo(label) {
+  undoStacks.undo.push(snapshot(label));
+  if (undoStacks.undo.length > UNDO_LIMIT) undoStacks.undo.shift();
+  undoStacks.redo = [];
+  saveUndoStacks();
+}
+
+function restoreSnapshot(snap, source) {
+  players = snap.players;
+  const mapping = { ...mappingDefault, ...snap.tierMapping };
+  // most snapshots only differ in players; leave the mapping (and the server's copy) alone then
+  if (TIER_ORDER.some(t => mapping[t] !== tierMapping[t])) {
+    tierMapping = mapping;
+    saveMapping({ source, push: canDo('admin') });
+  }
+  // snapshots taken before rank settings were part of them leave the settings alone
+  const settings = { ...rankSettingsDefault, ...snap.rankSettings };
+  if (snap.rankSettings && Object.keys(settings).some(k => settings[k] !== rankSettings[k])) {
+    rankSettings = settings;
+    saveRankSettings(rankSettings);
+    populateRankSettingsUI();
+    if (usingApi() && canDo('admin')) queueSync('rank settings', () => apiRequest('PUT', 'api/rank-settings', settings));
+  }
+  savePlayers({ source, note: `${source}: ${snap.label}`, replace: true });
+  populateMappingUI();
+  populateTierFilter();
+  applyFiltersAndRender();
+}
+
+function undo() {
+  const snap = undoStacks.undo.pop();
+  if (!snap) return;
+  undoStacks.redo.push(snapshot(snap.label));
+  restoreSnapshot(snap, 'undo');
+  saveUndoStacks();
+}
+
+function redo() {
+  const snap = undoStacks.redo.pop();
+  if (!snap) return;
+  undoStacks.undo.push(snapshot(snap.label));
+  restoreSnapshot(snap, 'redo');
+  saveUndoStacks();
+}
+
+function updateUndoButtons() {
+  const u = $('undoBtn');
+  const r = $('redoBtn');
+  const lastUndo = undoStacks.undo[undoStacks.undo.length - 1];
+  const lastRedo = undoStacks.redo[undoStacks.redo.length - 1];
+  if (u) { u.disabled = !lastUndo; u.title = lastUndo ? `Undo ${lastUndo.label} (Ctrl+Z)` : 'Nothing to undo'; }
+  if (r) { r.disabled = !lastRedo; r.title = lastRedo ? `Redo ${lastRedo.label} (Ctrl+Shift+Z)` : 'Nothing to redo'; }
+}
+
+function handleUndoKeys(e) {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey || !canDo('tester')) return;
+  // leave text fields to the browser's own undo
+  const t = e.target;
+  if (t && (t.tagName === 'INPUT' || t.tagName === 'TEXTAREA' || t.isContentEditable)) return;
+  const key = e.key.toLowerCase();
+  if (key === 'z' && !e.shiftKey) { e.preventDefault(); undo(); }
+  else if ((key === 'z' && e.shiftKey) || key === 'y') { e.preventDefault(); redo(); }
+}
+
+/* ---------------------- ranking ---------------------- */
+
+// Sets `pointsSince` on players whose points differ from the stored list, so "earliest" tie-breaks
+// know who reached a score first, and `lastTested` on players with new tiers (unless opts.tested is
+// false, as for decay). Dates that came with the record (e.g. from an import) win.
+function stampPointsChanges(stored, opts = {}) {
+  const before = new Map(stored.map(p => [p.id, p]));
+  const now = new Date().toISOString();
+  const today = todayIso();
+  players = players.map(p => {
+    const old = before.get(p.id);
+    let next = p;
+    if (!old) {
+      if (!p.pointsSince) next = { ...next, pointsSince: now };
+    } else if (old.points !== p.points && p.pointsSince === old.pointsSince) {
+      next = { ...next, pointsSince: now };
+    }
+    const tiersChanged = JSON.stringify(p.tiers || {}) !== JSON.stringify(old ? old.tiers || {} : {});
+    const stampTested = old ? p.lastTested === old.lastTested : !p.lastTested;
+    if (opts.tested !== false && tiersChanged && Object.keys(p.tiers || {}).length && stampTested) next = { ...next, lastTested: today };
+    return next;
+  });
+}
+
+// Local mode applies the inactivity decay itself (the server does it in server mode)
+function runDecay() {
+  if (usingApi()) return;
+  const { players: next, decayed } = applyDecay(players, rankSettings, tierMapping);
+  if (next === players) return;
+  if (decayed.length) recordUndo(`inactivity decay (${decayed.length} players)`);
+  players = next;
+  savePlayers({ note: 'inactivity decay', source: 'decay' });
+}
+
+const ACTIVITY_SETTING_FIELDS = ['inactiveAfterDays', 'retireAfterDays', 'decayAfterDays', 'decayEveryDays', 'decayPoints'];
+
+function populateRankSettingsUI() {
+  if ($('tieBreak')) $('tieBreak').value = rankSettings.tieBreak;
+  if ($('shareTies')) $('shareTies').checked = !!rankSettings.shareTies;
+  if ($('decayMode')) $('decayMode').value = rankSettings.decay;
+  ACTIVITY_SETTING_FIELDS.forEach(f => { if ($(f)) $(f).value = rankSettings[f]; });
+}
+
+function readRankSettingsFromUI() {
+  const days = {};
+  ACTIVITY_SETTING_FIELDS.forEach(f => {
+    const v = $(f) ? Number($(f).value) : rankSettings[f];
+    days[f] = Number.isInteger(v) && v >= 0 ? v : rankSettingsDefault[f];
+  });
+  days.decayEveryDays = Math.max(1, days.decayEveryDays);
+  recordUndo('rank settings change');
+  rankSettings = {
+    tieBreak: ($('tieBreak') && $('tieBreak').value) || rankSettingsDefault.tieBreak,
+    shareTies: !!($('shareTies') && $('shareTies').checked),
+    decay: ($('decayMode') && $('decayMode').value) || rankSettingsDefault.decay,
+    ...days
+  };
+  populateRankSettingsUI(); // shows corrected values
+  saveRankSettings(rankSettings);
+  if (usingApi()) {
+    const settings = { ...rankSettings };
+    // the server applies any decay the new rules make due, so reload the players afterwards
+    queueSync('rank settings', async () => {
+      await apiRequest('PUT', 'api/rank-settings', settings);
+      applyServerPlayers(await apiRequest('GET', 'api/players'));
+    });
+  }
+  savePlayers();
+  runDecay();
+  applyFiltersAndRender();
+}
+
 /* ---------------------- normalization & rendering ---------------------- */
 
 function normalizePlayer(item) {
-  const tierVal = (item.tier || item.Tier || item.TIER || "").toString().trim();
+  const tiers = normalizeModeTiers(item);
   const pointsProvided = (item.points !== undefined && item.points !== null && item.points !== "") ? Number(item.points) : null;
-  const points = (pointsProvided === null || Number.isNaN(pointsProvided)) ? (tierMapping[tierVal] ?? 0) : Number(pointsProvided);
+  const points = (pointsProvided === null || Number.isNaN(pointsProvided)) ? pointsFromTiers(tiers) : Number(pointsProvided);
 
+  const override = Number(item.rankOverride ?? item.rankoverride);
   return {
+    id: item.id ? String(item.id) : makeId(),
+    uuid: normalizeUuid(item.uuid) || "",
     rank: Number(item.rank) || 0,
+    rankOverride: override > 0 ? override : null,
+    pointsSince: item.pointsSince || item.pointssince || "",
     name: String(item.name || item.player || item.username || "Unknown"),
-    tier: tierVal || "",
-    points: Number(points) || 0
+    tier: bestTier(tiers),
+    tiers,
+    points: Number(points) || 0,
+    lastTested: normalizeDate(item.lastTested ?? item.lasttested),
+    lastActive: normalizeDate(item.lastActive ?? item.lastactive),
+    status: PLAYER_STATUSES.includes(item.status) ? item.status : "",
+    region: findRegion(item.region) ? findRegion(item.region).id : "",
+    country: normalizeCountry(item.country),
+    decaySteps: Number(item.decaySteps) || 0,
+    decayFrom: normalizeDate(item.decayFrom)
   };
 }
 
 function getUniqueTiers() {
-  const s = new Set(players.map(p => (p.tier || "").trim()).filter(Boolean));
+  const s = new Set();
+  players.forEach(p => Object.values(p.tiers || {}).concat(p.tier || "").forEach(t => s.add(String(t).trim())));
   TIER_ORDER.forEach(t => s.add(t));
   return Array.from(s).filter(Boolean).sort((a,b)=>{
     const ia = TIER_ORDER.indexOf(a);
@@ -138,6 +884,68 @@ function populateTierFilter() {
   });
 }
 
+// Region dropdowns: the table filter and the player form's select
+function populateRegionFilter() {
+  const sel = $('regionFilter');
+  if (!sel) return;
+  const current = sel.value;
+  sel.innerHTML = '<option value="">All regions</option>';
+  REGIONS.forEach(r => {
+    const opt = document.createElement('option');
+    opt.value = r.id;
+    opt.textContent = r.label;
+    sel.appendChild(opt);
+  });
+  sel.value = current;
+  const formSel = $('pRegion');
+  if (formSel && formSel.options.length <= 1) {
+    REGIONS.forEach(r => formSel.insertAdjacentHTML('beforeend', `<option value="${escapeHtml(r.id)}">${escapeHtml(r.label)}</option>`));
+  }
+}
+
+function populateModeFilter() {
+  const sel = $('modeFilter');
+  if (!sel) return;
+  const current = sel.value;
+  sel.innerHTML = '<option value="">All gamemodes</option>';
+  GAMEMODES.forEach(m => {
+    const opt = document.createElement('option');
+    opt.value = m.id;
+    opt.textContent = m.label;
+    sel.appendChild(opt);
+  });
+  sel.value = current;
+}
+
+// One <th> per gamemode, inserted after the overall Tier column
+function renderModeHeaders() {
+  const tierTh = $('tierHeader');
+  if (!tierTh || tierTh.parentNode.querySelector('th[data-mode]')) return;
+  let after = tierTh;
+  GAMEMODES.forEach(m => {
+    const th = document.createElement('th');
+    th.style.padding = '0.6rem 0.8rem';
+    th.dataset.mode = m.id;
+    th.textContent = m.label;
+    after.insertAdjacentElement('afterend', th);
+    after = th;
+  });
+}
+
+// Tier inputs for each gamemode in the add/edit form
+function populateModeTierInputs() {
+  const wrap = $('modeTierInputs');
+  if (!wrap || wrap.children.length) return;
+  GAMEMODES.forEach(m => {
+    const div = document.createElement('div');
+    div.innerHTML = `
+      <label class="muted" for="pTier_${m.id}">${escapeHtml(m.label)}</label>
+      <input id="pTier_${m.id}" data-mode="${m.id}" type="text" placeholder="—" list="tiersDatalist" style="width:100%;padding:0.5rem;border-radius:8px;border:1px solid rgba(255,255,255,0.03);background:transparent;color:var(--accent-text)">
+    `;
+    wrap.appendChild(div);
+  });
+}
+
 function populateMappingUI() {
   const grid = $('mappingGrid');
   if (!grid) return;
@@ -183,84 +991,102 @@ function populateMappingUI() {
 function renderTable(list) {
   const tbody = $('playersBody');
   if (!tbody) return;
-  tbody.innerHTML = '';
-  list.forEach((p, idx) => {
-    const tr = document.createElement('tr');
-    tr.style.borderTop = "1px solid rgba(255,255,255,0.02)";
-    tr.innerHTML = `
-      <td style="padding:0.6rem 0.8rem;white-space:nowrap">${escapeHtml(p.rank)}</td>
-      <td style="padding:0.6rem 0.8rem">${escapeHtml(p.name)}</td>
+  const mode = ($('modeFilter') && $('modeFilter').value) || '';
+  if ($('ratingHeader')) $('ratingHeader').classList.toggle('hidden', !showRating());
+  const editor = canDo('tester');
+  const admin = canDo('admin');
+  const rows = pageSlice(list, pager).map(p => `
+    <tr data-id="${escapeHtml(p.id)}" style="border-top:1px solid rgba(255,255,255,0.02)">
+      ${editor ? `<td style="padding:0.6rem 0.4rem 0.6rem 0.8rem"><input type="checkbox" data-select aria-label="Select ${escapeHtml(p.name)}" ${selectedIds.has(p.id) ? 'checked' : ''}></td>` : ''}
+      <td style="padding:0.6rem 0.8rem;white-space:nowrap">${rankCellHtml(p)}</td>
+      <td style="padding:0.6rem 0.8rem" title="${escapeHtml(playerTitle(p))}">${escapeHtml(p.name)}${activityBadgeHtml(p)}</td>
+      <td style="padding:0.6rem 0.8rem;white-space:nowrap">${regionCellHtml(p)}</td>
       <td style="padding:0.6rem 0.8rem">${escapeHtml(p.tier)}</td>
-      <td style="padding:0.6rem 0.8rem">${escapeHtml(p.points)}</td>
+      ${GAMEMODES.map(m => `<td style="padding:0.6rem 0.8rem" class="muted"${editor ? ` data-edit="tier" data-mode="${m.id}" title="Double-click to edit"` : ''}>${escapeHtml((p.tiers || {})[m.id] || '—')}</td>`).join('')}
+      <td style="padding:0.6rem 0.8rem"${admin ? ' data-edit="points" title="Double-click to edit"' : ''}>${escapeHtml(p.points)}</td>
+      ${showRating() ? `<td style="padding:0.6rem 0.8rem;white-space:nowrap">${ratingCellHtml(ratings.get(p.id), mode, ratingFlags(p, ratings.get(p.id)))}</td>` : ''}
       <td style="padding:0.6rem 0.8rem;white-space:nowrap">
-        <button class="btn" data-action="edit" data-idx="${idx}">Edit</button>
-        <button class="btn" data-action="delete" data-idx="${idx}">Delete</button>
+        ${canDo('tester') ? `<button class="btn" data-action="edit" data-id="${escapeHtml(p.id)}">Edit</button>` : ''}
+        <button class="btn" data-action="history" data-id="${escapeHtml(p.id)}">History</button>
+        ${canDo('admin') ? `<button class="btn" data-action="delete" data-id="${escapeHtml(p.id)}">Delete</button>` : ''}
       </td>
-    `;
-    tbody.appendChild(tr);
-  });
-
-  // wire actions
-  tbody.querySelectorAll('button[data-action]').forEach(btn => {
-    btn.addEventListener('click', (e) => {
-      const action = btn.getAttribute('data-action');
-      const idx = Number(btn.getAttribute('data-idx'));
-      // we rendered from a filtered/sorted list, so we should map back to players by content match
-      const row = Array.from(tbody.children)[idx];
-      const rank = Number(row.children[0].textContent);
-      const name = row.children[1].textContent;
-      const tier = row.children[2].textContent;
-      const points = Number(row.children[3].textContent);
-      const realIndex = players.findIndex(p => p.rank === rank && p.name === name && p.tier === tier && p.points === points);
-      if (action === 'edit') startEdit(realIndex);
-      if (action === 'delete') doDelete(realIndex);
-    });
-  });
+    </tr>`);
+  tbody.innerHTML = rows.join('');
+  renderPager($('tablePager'), pager, list.length);
+  renderBulkBar(list);
 }
 
-function applyFiltersAndRender() {
-  const q = ($('searchInput') && $('searchInput').value || '').trim().toLowerCase();
+// Row buttons are handled here once instead of per rendered button
+function handleTableClick(e) {
+  const btn = e.target.closest('button[data-action]');
+  if (!btn) return;
+  const id = btn.getAttribute('data-id');
+  const action = btn.getAttribute('data-action');
+  if (action === 'edit') startEdit(id);
+  if (action === 'delete') doDelete(id);
+  if (action === 'history') openTimeline(players[findPlayerIndex(id)], usingApi() ? () => apiHistory(id) : null);
+}
+
+// The list as currently shown: search, tier/gamemode filters and sort applied
+function getFilteredList() {
+  const query = parseQuery(($('searchInput') && $('searchInput').value || '').trim());
   const tier = ($('tierFilter') && $('tierFilter').value) || '';
+  const mode = ($('modeFilter') && $('modeFilter').value) || '';
+  const region = ($('regionFilter') && $('regionFilter').value) || '';
   let list = players.slice();
 
-  if (q) {
-    list = list.filter(p =>
-      String(p.name).toLowerCase().includes(q) ||
-      String(p.tier).toLowerCase().includes(q) ||
-      String(p.points).includes(q) ||
-      String(p.rank).includes(q)
-    );
-  }
-  if (tier) list = list.filter(p => (p.tier || "") === tier);
+  if (region) list = list.filter(p => p.region === region);
+  if (!query.empty) list = list.filter(p => matchesQuery(p, query, mode));
+  // with a gamemode selected, only players tiered in that mode are listed and the tier filter applies to that mode
+  if (mode) list = list.filter(p => (p.tiers || {})[mode]);
+  if (tier) list = list.filter(p => ((mode ? (p.tiers || {})[mode] : p.tier) || "") === tier);
 
+  // unrated players sort below every rating
+  const value = (p) => sortState.field === 'rating' ? (displayRating(ratings.get(p.id), mode) ?? -Infinity) : p[sortState.field];
   list.sort((a, b) => {
-    const f = sortState.field;
     const dir = sortState.dir === 'asc' ? 1 : -1;
-    if (a[f] < b[f]) return -1 * dir;
-    if (a[f] > b[f]) return 1 * dir;
+    const va = value(a);
+    const vb = value(b);
+    if (va < vb) return -1 * dir;
+    if (va > vb) return 1 * dir;
     return 0;
   });
+  return list;
+}
 
-  renderTable(list);
+function applyFiltersAndRender() {
+  renderTable(getFilteredList());
+  const text = ($('searchInput') && $('searchInput').value || '').trim();
+  renderQueryFeedback($('searchFeedback'), text, parseQuery(text));
 }
 
 /* ---------------------- edit / add / delete ---------------------- */
 
-function startEdit(index) {
-  if (index === -1 || index === undefined || index === null) return;
-  editingId = index;
-  const p = players[index];
+function startEdit(id) {
+  const p = players[findPlayerIndex(id)];
   if (!p) return;
-  if ($('pRank')) $('pRank').value = p.rank;
+  editingId = p.id;
+  if ($('pRank')) $('pRank').value = p.rankOverride || '';
   if ($('pName')) $('pName').value = p.name;
-  if ($('pTier')) $('pTier').value = p.tier;
+  if ($('pUuid')) $('pUuid').value = p.uuid || '';
+  GAMEMODES.forEach(m => {
+    const inp = $('pTier_' + m.id);
+    if (inp) inp.value = (p.tiers || {})[m.id] || '';
+  });
   if ($('pPoints')) $('pPoints').value = (p.points !== undefined && p.points !== null) ? p.points : '';
+  if ($('pRegion')) $('pRegion').value = p.region || '';
+  if ($('pCountry')) $('pCountry').value = p.country || '';
+  if ($('pStatus')) $('pStatus').value = p.status || '';
+  if ($('pLastActive')) $('pLastActive').value = p.lastActive || '';
   window.scrollTo({ top: document.body.scrollHeight, behavior: 'smooth' });
 }
 
-function doDelete(index) {
-  if (index === -1 || index === undefined || index === null) return;
-  if (!confirm("Delete this player?")) return;
+function doDelete(id) {
+  const index = findPlayerIndex(id);
+  if (index === -1) return;
+  if (!confirm(`Delete ${players[index].name}?`)) return;
+  if (editingId === id) resetForm();
+  recordUndo(`delete ${players[index].name}`);
   players.splice(index, 1);
   savePlayers();
   populateTierFilter();
@@ -271,9 +1097,154 @@ function resetForm() {
   editingId = null;
   const form = $('playerForm');
   if (form) form.reset();
+  if ($('pTestedBy')) $('pTestedBy').value = testerName();
+}
+
+/* ---------------------- bulk selection & inline editing ---------------------- */
+
+function populateBulkControls() {
+  const modeSel = $('bulkMode');
+  const tierSel = $('bulkTier');
+  if (modeSel && !modeSel.options.length) modeSel.innerHTML = GAMEMODES.map(m => `<option value="${m.id}">${escapeHtml(m.label)}</option>`).join('');
+  if (tierSel && !tierSel.options.length) {
+    tierSel.innerHTML = TIER_ORDER.slice().reverse().map(t => `<option value="${t}">${t}</option>`).join('') + '<option value="">— (untested)</option>';
+  }
+}
+
+// Select-all state and the bulk bar for the rows currently matching the filters (`list`)
+function renderBulkBar(list) {
+  const ids = new Set(players.map(p => p.id));
+  selectedIds.forEach(id => { if (!ids.has(id)) selectedIds.delete(id); });
+  const all = $('selectAll');
+  if (all) {
+    const picked = list.filter(p => selectedIds.has(p.id)).length;
+    all.checked = list.length > 0 && picked === list.length;
+    all.indeterminate = picked > 0 && picked < list.length;
+  }
+  const bar = $('bulkBar');
+  if (bar) bar.classList.toggle('hidden', !selectedIds.size || !canDo('tester'));
+  if ($('bulkCount')) $('bulkCount').textContent = `${selectedIds.size} selected`;
+}
+
+function toggleSelectAll(checked) {
+  getFilteredList().forEach(p => checked ? selectedIds.add(p.id) : selectedIds.delete(p.id));
+  applyFiltersAndRender();
 }
 
-/* ---------------------- CSV import / export ---------------------- */
+// Applies `change` (record -> changed record) to every selected player as one undo step and one save
+function bulkUpdate(label, change) {
+  const count = players.filter(p => selectedIds.has(p.id)).length;
+  if (!count) return;
+  recordUndo(`${label} (${count} players)`);
+  players = players.map(p => selectedIds.has(p.id) ? normalizePlayer(change({ ...p, tiers: { ...(p.tiers || {}) } })) : p);
+  savePlayers({ note: label });
+  populateTierFilter();
+  applyFiltersAndRender();
+}
+
+// Points follow the mapping after a tier change, as they do for testers and the server
+function bulkSetTier() {
+  const mode = $('bulkMode').value;
+  const tier = $('bulkTier').value;
+  const label = `set ${modeLabel(mode)} ${tier || 'untested'}`;
+  bulkUpdate(label, p => {
+    if (tier) p.tiers[mode] = tier;
+    else delete p.tiers[mode];
+    p.points = pointsFromTiers(p.tiers);
+    return p;
+  });
+}
+
+function bulkAdjustPoints(sign) {
+  const n = Number($('bulkPoints').value);
+  if (!Number.isInteger(n) || n <= 0) { alert("Enter a whole number of points greater than 0."); return; }
+  bulkUpdate(`${sign > 0 ? 'add' : 'subtract'} ${n} points`, p => ({ ...p, points: Math.max(0, (Number(p.points) || 0) + sign * n) }));
+}
+
+function bulkApplyMapping() {
+  bulkUpdate('apply mapping', p => ({ ...p, points: pointsFromTiers(p.tiers) }));
+}
+
+function bulkSetStatus() {
+  const status = ($('bulkStatus') && $('bulkStatus').value) || '';
+  bulkUpdate(`status ${status || 'automatic'}`, p => ({ ...p, status }));
+}
+
+function bulkDelete() {
+  const doomed = players.filter(p => selectedIds.has(p.id));
+  if (!doomed.length || !confirm(`Delete ${doomed.length} selected player(s)? You can undo this until the tab is closed.`)) return;
+  recordUndo(`delete ${doomed.length} players`);
+  if (editingId && selectedIds.has(editingId)) resetForm();
+  players = players.filter(p => !selectedIds.has(p.id));
+  selectedIds.clear();
+  savePlayers();
+  populateTierFilter();
+  applyFiltersAndRender();
+}
+
+// Turns a tier or points cell into an input; Enter or leaving the cell saves, Escape cancels
+function startInlineEdit(td) {
+  if (td.querySelector('input')) return;
+  const p = players[findPlayerIndex(td.closest('tr').dataset.id)];
+  if (!p) return;
+  const field = td.dataset.edit;
+  const mode = td.dataset.mode;
+  const input = document.createElement('input');
+  input.className = 'inline-edit';
+  if (field === 'tier') {
+    input.type = 'text';
+    input.setAttribute('list', 'tiersDatalist');
+    input.value = (p.tiers || {})[mode] || '';
+  } else {
+    input.type = 'number';
+    input.min = '0';
+    input.value = p.points;
+  }
+  td.textContent = '';
+  td.appendChild(input);
+  input.focus();
+  if (input.select) input.select();
+  let done = false;
+  const finish = (save) => {
+    if (done) return;
+    done = true;
+    if (!save || !commitInlineEdit(p.id, field, mode, input.value)) applyFiltersAndRender();
+  };
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') { e.preventDefault(); finish(true); }
+    if (e.key === 'Escape') finish(false);
+  });
+  input.addEventListener('blur', () => finish(true));
+}
+
+// Returns true when a change was saved (the save re-renders the table)
+function commitInlineEdit(id, field, mode, raw) {
+  const index = findPlayerIndex(id);
+  if (index === -1) return false;
+  const p = players[index];
+  const next = { ...p, tiers: { ...(p.tiers || {}) } };
+  if (field === 'tier') {
+    const tier = String(raw || '').trim().toUpperCase();
+    if (tier && !TIER_ORDER.includes(tier)) { alert(`"${raw}" is not a tier. Use one of ${TIER_ORDER.join(', ')} or leave it blank.`); return false; }
+    if (tier === ((p.tiers || {})[mode] || '')) return false;
+    if (tier) next.tiers[mode] = tier;
+    else delete next.tiers[mode];
+    next.points = pointsFromTiers(next.tiers);
+  } else {
+    const points = String(raw).trim() === '' ? NaN : Number(raw);
+    if (!Number.isInteger(points) || points < 0) { alert("Points must be a whole number of 0 or more."); return false; }
+    if (points === Number(p.points)) return false;
+    next.points = points;
+  }
+  recordUndo(`edit ${p.name}`);
+  players[index] = normalizePlayer(next);
+  savePlayers();
+  populateTierFilter();
+  applyFiltersAndRender();
+  return true;
+}
+
+/* ---------------------- CSV import (with preview) / export ---------------------- */
 
 function splitCSVLine(line) {
   const res = [];
@@ -304,70 +1275,264 @@ function parseCSV(text) {
   const rows = lines.slice(1).map(line => {
     const vals = splitCSVLine(line);
     const obj = {};
-    headers.forEach((h, i) => obj[h] = vals[i] ?? "");
+    // drop the ' that csvCell (export.js) puts before formula-like text
+    headers.forEach((h, i) => obj[h] = (vals[i] ?? "").replace(/^'(?=[=+\-@])/, ''));
     return obj;
   });
   return rows;
 }
 
+// Raw rows from a JSON array, a backup bundle or a CSV file, before validation.
+// Returns { rows, bundle } where `bundle` is the backup (for its mapping) or null.
+function readImportRows(fileName, txt) {
+  if (fileName.toLowerCase().endsWith('.json')) {
+    const data = JSON.parse(txt);
+    if (isBackupBundle(data)) return { rows: data.players, bundle: data };
+    // a published data file carries its mapping the same way a backup does
+    if (data && data.format === PUBLISHED_FORMAT && Array.isArray(data.players)) return { rows: data.players, bundle: data };
+    if (!Array.isArray(data)) throw new Error("JSON must be an array, a backup bundle or a published data file");
+    return { rows: data, bundle: null };
+  }
+  // headers are lower-cased by parseCSV, so gamemode columns ("crystal", "sword", ...) pass straight through
+  const rows = parseCSV(txt).map(r => ({
+    ...r,
+    rank: r.rank ?? r.Rank ?? r.RANK,
+    name: r.name ?? r.Name ?? r.NAME ?? r.player,
+    tier: r.tier ?? r.Tier ?? r.TIER,
+    points: r.points ?? r.Points ?? r.POINTS ?? r.score
+  }));
+  return { rows, bundle: null };
+}
+
+// Case-insensitive names that occur more than once in a list of raw or normalized records
+function findDuplicateNames(list) {
+  const seen = new Map();
+  list.forEach(r => {
+    const name = String((r && (r.name || r.player || r.username)) || "").trim();
+    if (!name) return;
+    const k = nameKey(name);
+    seen.set(k, { name, count: (seen.get(k) ? seen.get(k).count : 0) + 1 });
+  });
+  return Array.from(seen.values()).filter(v => v.count > 1).map(v => v.name);
+}
+
+// Checks every row on its own; rows with errors are left out of the import.
+// Returns [{ label, raw, player, errors }] where `player` is the normalized record (null when invalid).
+function validateImportRows(rows, isCSV) {
+  const dupes = new Set(findDuplicateNames(rows).map(nameKey));
+  return rows.map((raw, i) => {
+    const label = isCSV ? `Line ${i + 2}` : `Item ${i + 1}`;
+    const errors = [];
+    if (!raw || typeof raw !== 'object') return { label, raw, player: null, errors: ["not an object"] };
+    const name = String(raw.name || raw.player || raw.username || "").trim();
+    if (!name) errors.push("missing player name");
+    else if (dupes.has(nameKey(name))) errors.push(`duplicate name "${name}" in file`);
+    const tiers = normalizeModeTiers(raw);
+    Object.keys(tiers).forEach(mode => {
+      if (!TIER_ORDER.includes(tiers[mode])) {
+        const m = GAMEMODES.find(g => g.id === mode);
+        errors.push(`unknown tier code "${tiers[mode]}" for ${m ? m.label : mode}`);
+      }
+    });
+    const hasPoints = raw.points !== undefined && raw.points !== null && String(raw.points).trim() !== "";
+    if (hasPoints && !Number.isFinite(Number(raw.points))) errors.push(`points "${raw.points}" is not a number`);
+    if (raw.uuid && normalizeUuid(raw.uuid) === null) errors.push(`malformed uuid "${raw.uuid}"`);
+    if (raw.region && !findRegion(raw.region)) errors.push(`unknown region "${raw.region}" (${REGIONS.map(r => r.id).join(', ')})`);
+    if (raw.country && !normalizeCountry(raw.country)) errors.push(`country "${raw.country}" is not a two-letter code`);
+    return { label, raw, player: errors.length ? null : normalizePlayer(raw), hasPoints, errors };
+  });
+}
+
+function samePlayerData(a, b) {
+  return a.name === b.name && a.points === b.points && (a.uuid || "") === (b.uuid || "") &&
+    (a.rankOverride || null) === (b.rankOverride || null) && (a.status || "") === (b.status || "") &&
+    (a.region || "") === (b.region || "") && (a.country || "") === (b.country || "") &&
+    (a.lastTested || "") === (b.lastTested || "") && (a.lastActive || "") === (b.lastActive || "") &&
+    JSON.stringify(a.tiers || {}) === JSON.stringify(b.tiers || {});
+}
+
+// Works out what an import would do without touching `players`.
+// mode: "replace" (list becomes the file), "merge" (update matches, add the rest) or "add" (only new players).
+// Rows match an existing player by id first, then by name.
+function buildImportPlan(validated, mode) {
+  const byId = new Map(players.map(p => [p.id, p]));
+  const byName = new Map(players.map(p => [nameKey(p.name), p]));
+  const plan = { mode, added: [], updated: [], unchanged: [], skipped: [], removed: [], result: [] };
+  const matched = new Set();
+
+  validated.filter(r => r.player).forEach(r => {
+    const existing = (r.raw.id && byId.get(String(r.raw.id))) || byName.get(nameKey(r.player.name));
+    if (!existing) {
+      const p = byId.has(r.player.id) ? { ...r.player, id: makeId() } : r.player;
+      plan.added.push(p);
+      return;
+    }
+    matched.add(existing.id);
+    if (mode === 'add') { plan.skipped.push(existing); return; }
+    let next;
+    if (mode === 'replace') {
+      next = { ...r.player, id: existing.id };
+    } else {
+      // merge: tiers from the file win per gamemode, points follow the mapping unless the file sets them
+      const tiers = { ...existing.tiers, ...r.player.tiers };
+      const tiersChanged = JSON.stringify(tiers) !== JSON.stringify(existing.tiers || {});
+      next = normalizePlayer({
+        ...existing,
+        name: r.player.name,
+        uuid: r.player.uuid || existing.uuid,
+        rankOverride: r.player.rankOverride || existing.rankOverride,
+        status: r.player.status || existing.status,
+        region: r.player.region || existing.region,
+        country: r.player.country || existing.country,
+        lastTested: r.player.lastTested || existing.lastTested,
+        lastActive: r.player.lastActive || existing.lastActive,
+        tiers,
+        points: r.hasPoints ? r.player.points : (tiersChanged ? null : existing.points)
+      });
+    }
+    if (samePlayerData(existing, next)) plan.unchanged.push(existing);
+    else plan.updated.push({ before: existing, after: next });
+  });
+
+  if (mode === 'replace') {
+    plan.removed = players.filter(p => !matched.has(p.id));
+    const updatedById = new Map(plan.updated.map(u => [u.after.id, u.after]));
+    plan.result = players
+      .filter(p => matched.has(p.id))
+      .map(p => updatedById.get(p.id) || p)
+      .concat(plan.added);
+  } else {
+    const updatedById = new Map(plan.updated.map(u => [u.after.id, u.after]));
+    plan.result = players.map(p => updatedById.get(p.id) || p).concat(plan.added);
+  }
+  return plan;
+}
+
+let pendingImport = null; // { fileName, validated, bundle } while the preview dialog is open
+
 function importDataFromFile(file) {
   if (!file) return;
   const reader = new FileReader();
   reader.onload = (e) => {
+    let parsed;
     try {
-      const txt = e.target.result;
-      if (file.name.toLowerCase().endsWith('.json')) {
-        const data = JSON.parse(txt);
-        if (!Array.isArray(data)) throw new Error("JSON must be an array");
-        players = data.map(normalizePlayer);
-      } else {
-        const rows = parseCSV(txt);
-        const normalized = rows.map(r => normalizePlayer({
-          rank: r.rank ?? r.Rank ?? r.RANK,
-          name: r.name ?? r.Name ?? r.NAME ?? r.player,
-          tier: r.tier ?? r.Tier ?? r.TIER,
-          points: r.points ?? r.Points ?? r.POINTS ?? r.score
-        }));
-        players = normalized;
-      }
-      savePlayers();
-      populateTierFilter();
-      applyFiltersAndRender();
-      alert("Import successful. The list was replaced with the imported data.");
+      parsed = readImportRows(file.name, e.target.result);
     } catch (err) {
       console.error("Import error:", err);
-      alert("Failed to import file. See console for details.");
+      alert(`Failed to read ${file.name}: ${err.message}`);
+      return;
     }
+    const isCSV = !file.name.toLowerCase().endsWith('.json');
+    pendingImport = { fileName: file.name, validated: validateImportRows(parsed.rows, isCSV), bundle: parsed.bundle };
+    openImportPreview();
   };
   reader.readAsText(file);
 }
 
-function downloadJSON(filename = 'players.json') {
-  const data = JSON.stringify(players, null, 2);
-  const blob = new Blob([data], { type: 'application/json' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = filename;
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
-  URL.revokeObjectURL(url);
+function importModeFromUI() {
+  const checked = document.querySelector('input[name="importMode"]:checked');
+  return checked ? checked.value : 'merge';
+}
+
+function nameList(list, fmt) {
+  if (!list.length) return '<span class="muted">none</span>';
+  return list.map(x => `<li>${fmt(x)}</li>`).join('');
+}
+
+function renderImportPreview() {
+  if (!pendingImport) return;
+  const { validated, fileName } = pendingImport;
+  const plan = buildImportPlan(validated, importModeFromUI());
+  const errors = validated.filter(r => r.errors.length);
+  const describeUpdate = (u) => {
+    const changes = [];
+    GAMEMODES.forEach(m => {
+      const a = (u.before.tiers || {})[m.id] || '';
+      const b = (u.after.tiers || {})[m.id] || '';
+      if (a !== b) changes.push(`${m.label} ${a || '—'} → ${b || '—'}`);
+    });
+    if (u.before.points !== u.after.points) changes.push(`points ${u.before.points} → ${u.after.points}`);
+    if (u.before.name !== u.after.name) changes.push(`renamed from ${u.before.name}`);
+    return `${escapeHtml(u.after.name)} <span class="muted small">${escapeHtml(changes.join(', ') || 'details changed')}</span>`;
+  };
+
+  $('importSummary').textContent =
+    `${fileName}: ${validated.length} rows — ${plan.added.length} to add, ${plan.updated.length} to update, ` +
+    `${plan.removed.length} to remove, ${plan.unchanged.length + plan.skipped.length} unchanged/skipped, ${errors.length} with errors.`;
+  $('importDetails').innerHTML = `
+    <h4>Added (${plan.added.length})</h4><ul>${nameList(plan.added, p => escapeHtml(p.name))}</ul>
+    <h4>Updated (${plan.updated.length})</h4><ul>${nameList(plan.updated, describeUpdate)}</ul>
+    <h4>Removed (${plan.removed.length})</h4><ul>${nameList(plan.removed, p => escapeHtml(p.name))}</ul>
+    <h4>Rows with errors — not imported (${errors.length})</h4>
+    <ul>${nameList(errors, r => `${escapeHtml(r.label)}: ${escapeHtml(r.errors.join('; '))}`)}</ul>
+  `;
+  const restoreRow = $('importRestoreMappingRow');
+  if (restoreRow) restoreRow.classList.toggle('hidden', !pendingImport.bundle);
+  $('importConfirmBtn').disabled = !(plan.added.length || plan.updated.length || plan.removed.length || restoreMappingChecked());
+  return plan;
+}
+
+// backups carry a tier mapping that can be restored along with the players
+function restoreMappingChecked() {
+  return !!(pendingImport && pendingImport.bundle && $('importRestoreMapping') && $('importRestoreMapping').checked);
+}
+
+function openImportPreview() {
+  const dlg = $('importDialog');
+  if (!dlg) return;
+  renderImportPreview();
+  if (typeof dlg.showModal === 'function') dlg.showModal();
+  else dlg.setAttribute('open', '');
+}
+
+function closeImportPreview() {
+  pendingImport = null;
+  const dlg = $('importDialog');
+  if (dlg && dlg.open) dlg.close();
+}
+
+function confirmImport() {
+  if (!pendingImport) return;
+  const plan = renderImportPreview();
+  recordUndo(`import of ${pendingImport.fileName}`);
+  if (restoreMappingChecked()) {
+    tierMapping = { ...mappingDefault, ...pendingImport.bundle.tierMapping };
+    saveMapping();
+    populateMappingUI();
+  }
+  players = plan.result;
+  savePlayers({ replace: true });
+  populateTierFilter();
+  applyFiltersAndRender();
+  closeImportPreview();
+  alert(`Import complete: ${plan.added.length} added, ${plan.updated.length} updated, ${plan.removed.length} removed.`);
+}
+
+function exportFormat() {
+  return ($('exportFormat') && $('exportFormat').value) || 'json';
+}
+
+// "filtered" exports exactly what the table shows (search, filters, sort); "all" exports every player by rank
+function exportList() {
+  const scope = ($('exportScope') && $('exportScope').value) || 'filtered';
+  return scope === 'all' ? players.slice() : getFilteredList();
 }
 
 /* ---------------------- mapping actions ---------------------- */
 
 function applyMappingToAllPlayers() {
   if (!confirm("Apply tier mapping to ALL players, overwriting their current points?")) return;
-  players = players.map(p => ({ ...p, points: Number(tierMapping[p.tier] ?? 0) }));
+  recordUndo('apply mapping to all players');
+  players = players.map(p => ({ ...p, points: pointsFromTiers(p.tiers) }));
   savePlayers();
   applyFiltersAndRender();
   alert("Applied mapping to all players.");
 }
 
 function applyMappingToEmptyPlayers() {
+  recordUndo('apply mapping to empty players');
   players = players.map(p => {
-    if (!p.points) return { ...p, points: Number(tierMapping[p.tier] ?? 0) };
+    if (!p.points) return { ...p, points: pointsFromTiers(p.tiers) };
     return p;
   });
   savePlayers();
@@ -377,6 +1542,7 @@ function applyMappingToEmptyPlayers() {
 
 function resetMappingToDefault() {
   if (!confirm("Reset mapping to default values? This will overwrite saved mapping values.")) return;
+  recordUndo('mapping reset');
   tierMapping = { ...mappingDefault };
   saveMapping();
   populateMappingUI();
@@ -385,11 +1551,14 @@ function resetMappingToDefault() {
 
 function readMappingFromUI() {
   const inputs = document.querySelectorAll('#mappingGrid input[data-tier]');
+  const next = { ...tierMapping };
   inputs.forEach(inp => {
     const t = inp.dataset.tier;
     const v = Number(inp.value) || 0;
-    tierMapping[t] = v;
+    next[t] = v;
   });
+  if (TIER_ORDER.some(t => next[t] !== tierMapping[t])) recordUndo('mapping edit');
+  tierMapping = next;
   saveMapping();
 }
 
@@ -407,45 +1576,132 @@ function initMappingButtons() {
   saveBtn && saveBtn.addEventListener('click', () => { readMappingFromUI(); alert("Mapping saved."); });
 }
 
-/* ---------------------- initialization & event wiring ---------------------- */
+/* ---------------------- storage warnings ---------------------- */
+
+// Tells the editor when stored data was unreadable or records were quarantined, with a way to get it back
+function renderStorageWarning() {
+  const box = $('storageWarning');
+  if (!box) return;
+  const msgs = [];
+  const p = storageStatus.players;
+  const m = storageStatus.mapping;
+  if (p && p.corrupt) msgs.push(`The saved players list could not be read (${p.error}). It was not overwritten yet and a copy was quarantined; the list below starts empty.`);
+  if (p && p.problems.length) msgs.push(`${p.problems.length} saved player record(s) were invalid and moved to quarantine: ${p.problems.map(x => x.name || `#${x.index + 1}`).join(', ')}.`);
+  if (m && m.corrupt) msgs.push(`The saved tier mapping could not be read (${m.error}); defaults are shown and a copy was quarantined.`);
+  const count = loadQuarantine().length;
+  box.classList.toggle('hidden', !msgs.length && !count);
+  $('storageWarningText').textContent = msgs.length ? msgs.join(' ') : `${count} quarantined item(s) are kept for recovery.`;
+}
 
-function unhideAdminOnlyElements() {
-  // In case your HTML still marks inputs as admin-only, reveal them
-  document.querySelectorAll('.admin-only').forEach(el => {
-    el.classList.remove('hidden');
-    // enable any inputs inside
-    el.querySelectorAll && el.querySelectorAll('input,button,select,textarea').forEach(i => i.removeAttribute('disabled'));
-  });
+function downloadQuarantine() {
+  downloadText('mctiers-quarantine.json', JSON.stringify(loadQuarantine(), null, 2), 'application/json');
 }
 
-document.addEventListener('DOMContentLoaded', () => {
-  // Ensure editing UI is visible even if HTML used .admin-only
-  unhideAdminOnlyElements();
+/* ---------------------- initialization & event wiring ---------------------- */
 
+document.addEventListener('DOMContentLoaded', () => {
   // Load/prepare data and UI
-  players = loadPlayers();
   tierMapping = loadMapping();
+  rankSettings = loadRankSettings();
+  players = loadPlayers();
+  renderModeHeaders();
+  populateRankSettingsUI();
+  renderStorageWarning();
+  if ($('pTestedBy')) $('pTestedBy').value = localStorage.getItem(TESTER_KEY) || '';
+  populateModeTierInputs();
   populateMappingUI();
   initMappingButtons();
+  populateModeFilter();
+  populateRegionFilter();
   populateTierFilter();
+  runDecay();
   applyFiltersAndRender();
 
   // wire search/filter
   const searchEl = $('searchInput');
   const tierFilter = $('tierFilter');
-  if (searchEl) searchEl.addEventListener('input', () => applyFiltersAndRender());
-  if (tierFilter) tierFilter.addEventListener('change', () => applyFiltersAndRender());
+  const modeFilter = $('modeFilter');
+  const refilter = () => { pager.page = 1; applyFiltersAndRender(); };
+  if (searchEl) searchEl.addEventListener('input', debounce(refilter, SEARCH_DEBOUNCE_MS));
+  if (tierFilter) tierFilter.addEventListener('change', refilter);
+  if (modeFilter) modeFilter.addEventListener('change', refilter);
+  if ($('regionFilter')) $('regionFilter').addEventListener('change', refilter);
+  initPager($('tablePager'), pager, () => applyFiltersAndRender());
+  const tbody = $('playersBody');
+  if (tbody) {
+    tbody.addEventListener('click', handleTableClick);
+    tbody.addEventListener('dblclick', (e) => {
+      const td = e.target.closest('td[data-edit]');
+      if (td && canDo(td.dataset.edit === 'points' ? 'admin' : 'tester')) startInlineEdit(td);
+    });
+    tbody.addEventListener('change', (e) => {
+      if (!e.target.matches('input[data-select]')) return;
+      const id = e.target.closest('tr').dataset.id;
+      if (e.target.checked) selectedIds.add(id);
+      else selectedIds.delete(id);
+      renderBulkBar(getFilteredList());
+    });
+  }
+
+  // bulk actions
+  populateBulkControls();
+  const selectAll = $('selectAll');
+  if (selectAll) selectAll.addEventListener('change', () => toggleSelectAll(selectAll.checked));
+  const bulkButtons = {
+    bulkTierBtn: () => bulkSetTier(),
+    bulkAddBtn: () => bulkAdjustPoints(1),
+    bulkSubBtn: () => bulkAdjustPoints(-1),
+    bulkMappingBtn: () => bulkApplyMapping(),
+    bulkDeleteBtn: () => bulkDelete(),
+    bulkStatusBtn: () => bulkSetStatus(),
+    bulkClearBtn: () => { selectedIds.clear(); applyFiltersAndRender(); }
+  };
+  Object.entries(bulkButtons).forEach(([id, fn]) => { if ($(id)) $(id).addEventListener('click', fn); });
+
+  // rank settings
+  ['tieBreak', 'shareTies', 'decayMode', ...ACTIVITY_SETTING_FIELDS].forEach(id => {
+    if ($(id)) $(id).addEventListener('change', () => readRankSettingsFromUI());
+  });
 
   // sorting header clicks
   document.querySelectorAll('#playersTable thead th[data-sort]').forEach(h => {
     h.addEventListener('click', () => {
       const field = h.getAttribute('data-sort');
       if (sortState.field === field) sortState.dir = sortState.dir === 'asc' ? 'desc' : 'asc';
-      else { sortState.field = field; sortState.dir = 'asc'; }
+      else { sortState.field = field; sortState.dir = field === 'rating' ? 'desc' : 'asc'; }
+      pager.page = 1;
       applyFiltersAndRender();
     });
   });
 
+  // matches & ratings
+  const showRatingEl = $('showRating');
+  if (showRatingEl) showRatingEl.addEventListener('change', () => applyFiltersAndRender());
+  const matchForm = $('matchForm');
+  if (matchForm) matchForm.addEventListener('submit', (ev) => { ev.preventDefault(); recordMatch(); });
+  ['mPlayerA', 'mPlayerB'].forEach(id => { if ($(id)) $(id).addEventListener('focus', populateMatchNames); });
+  const matchList = $('matchList');
+  if (matchList) matchList.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-action="delete-match"]');
+    if (btn) deleteMatch(btn.dataset.id);
+  });
+  renderMatches();
+
+  // webhooks
+  const webhookList = $('webhookList');
+  if (webhookList) webhookList.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+    const id = btn.closest('.webhook-row').dataset.id;
+    if (btn.dataset.action === 'test-webhook') testWebhook(id);
+    if (btn.dataset.action === 'remove-webhook') {
+      renderWebhookRows(readWebhookSettingsFromUI().hooks.filter(h => h.id !== id));
+      setWebhookStatus('Removed; save to apply.');
+    }
+  });
+  if ($('webhookAddBtn')) $('webhookAddBtn').addEventListener('click', () => addWebhookRow());
+  if ($('webhookSaveBtn')) $('webhookSaveBtn').addEventListener('click', () => saveWebhookSettings());
+
   // file import
   const importFile = $('importFile');
   if (importFile) importFile.addEventListener('change', (e) => {
@@ -456,14 +1712,22 @@ document.addEventListener('DOMContentLoaded', () => {
 
   // export
   const exportBtn = $('exportBtn');
-  if (exportBtn) exportBtn.addEventListener('click', () => downloadJSON());
+  const copyExportBtn = $('copyExportBtn');
+  if (exportBtn) exportBtn.addEventListener('click', () => {
+    exportPlayers(exportFormat(), exportList(), { players, tierMapping, rankSettings, matches, history: loadHistory() });
+  });
+  if (copyExportBtn) copyExportBtn.addEventListener('click', async () => {
+    const ok = await copyExport(exportFormat(), exportList());
+    alert(ok ? "Copied to clipboard." : "Could not access the clipboard. Use Export to download instead.");
+  });
 
   // clear
   const clearBtn = $('clearBtn');
   if (clearBtn) clearBtn.addEventListener('click', () => {
-    if (!confirm("Clear the entire players list from local storage? This cannot be undone.")) return;
+    if (!confirm(`Clear the entire players list ${usingApi() ? 'on the server' : 'from local storage'}? You can undo this until the tab is closed.`)) return;
+    recordUndo('clear');
     players = [];
-    savePlayers();
+    savePlayers({ replace: true });
     populateTierFilter();
     applyFiltersAndRender();
   });
@@ -473,48 +1737,138 @@ document.addEventListener('DOMContentLoaded', () => {
   if (form) {
     form.addEventListener('submit', (ev) => {
       ev.preventDefault();
-      const tierInput = ($('pTier').value || "").trim();
+      const tiers = {};
+      const badTiers = [];
+      GAMEMODES.forEach(m => {
+        const v = ($('pTier_' + m.id) && $('pTier_' + m.id).value || "").trim();
+        if (!v) return;
+        const code = normalizeTierCode(v);
+        if (code) tiers[m.id] = code;
+        else badTiers.push(`"${v}" for ${m.label}`);
+      });
+      if (badTiers.length) { alert(`Unknown tier ${badTiers.join(', ')}. Use one of ${TIER_ORDER.join(', ')} or leave it blank.`); return; }
       const pointsInputRaw = $('pPoints').value;
       const pointsInput = (pointsInputRaw === '' || pointsInputRaw === null) ? null : Number(pointsInputRaw);
+      const uuid = normalizeUuid($('pUuid') && $('pUuid').value);
+      if (uuid === null) { alert("Minecraft UUID must be 32 hex characters (dashes optional)."); return; }
+      if ($('pCountry') && $('pCountry').value.trim() && !normalizeCountry($('pCountry').value)) { alert("Country must be a two-letter code such as DE or US."); return; }
       const raw = {
-        rank: Number($('pRank').value) || 0,
+        id: editingId || undefined,
+        uuid,
+        rankOverride: Number($('pRank').value) || null,
         name: ($('pName').value || "").trim(),
-        tier: tierInput,
-        points: (pointsInput === null) ? (tierMapping[tierInput] ?? 0) : pointsInput
+        tiers,
+        points: (pointsInput === null) ? pointsFromTiers(tiers) : pointsInput,
+        region: ($('pRegion') && $('pRegion').value) || '',
+        country: ($('pCountry') && $('pCountry').value) || '',
+        status: ($('pStatus') && $('pStatus').value) || '',
+        lastActive: ($('pLastActive') && $('pLastActive').value) || ''
       };
       if (!raw.name) { alert("Player name is required."); return; }
+      if (!canDo('admin')) {
+        // testers only change tiers; the server recomputes the points from the mapping
+        if (editingId === null) { alert("Testers can only change the tiers of existing players. Pick a player with Edit first."); return; }
+        raw.points = pointsFromTiers(tiers);
+        ['region', 'country', 'status', 'lastActive'].forEach(f => delete raw[f]);
+      }
+      const clash = players.find(p => nameKey(p.name) === nameKey(raw.name) && p.id !== editingId);
+      if (clash) { alert(`A player named "${clash.name}" already exists. Edit that entry instead.`); return; }
+      recordUndo(editingId === null ? `add ${raw.name}` : `edit ${raw.name}`);
 
       if (editingId === null) players.push(normalizePlayer(raw));
-      else { players[editingId] = normalizePlayer(raw); editingId = null; }
+      else {
+        const index = findPlayerIndex(editingId);
+        if (index === -1) players.push(normalizePlayer(raw)); // edited player was deleted meanwhile (e.g. in another tab)
+        else players[index] = normalizePlayer({ ...players[index], ...raw });
+        editingId = null;
+      }
 
-      players.sort((a,b) => (a.rank || 0) - (b.rank || 0));
       savePlayers();
       populateTierFilter();
       applyFiltersAndRender();
       form.reset();
+      if ($('pTestedBy')) $('pTestedBy').value = testerName();
     });
   }
 
   const cancelBtn = $('cancelEdit');
   if (cancelBtn) cancelBtn.addEventListener('click', () => resetForm());
+
+  // import preview dialog
+  document.querySelectorAll('input[name="importMode"]').forEach(r => r.addEventListener('change', () => renderImportPreview()));
+  const restoreMappingEl = $('importRestoreMapping');
+  if (restoreMappingEl) restoreMappingEl.addEventListener('change', () => renderImportPreview());
+  const importConfirmBtn = $('importConfirmBtn');
+  const importCancelBtn = $('importCancelBtn');
+  if (importConfirmBtn) importConfirmBtn.addEventListener('click', () => confirmImport());
+  if (importCancelBtn) importCancelBtn.addEventListener('click', () => closeImportPreview());
+  const importDialog = $('importDialog');
+  if (importDialog) importDialog.addEventListener('close', () => { pendingImport = null; });
+
+  // quarantine recovery
+  const qDownload = $('quarantineDownloadBtn');
+  const qClear = $('quarantineClearBtn');
+  if (qDownload) qDownload.addEventListener('click', () => downloadQuarantine());
+  if (qClear) qClear.addEventListener('click', () => {
+    if (!confirm("Delete all quarantined data? Download it first if you may need it.")) return;
+    clearQuarantine();
+    storageStatus = { players: null, mapping: null };
+    renderStorageWarning();
+  });
+
+  // undo / redo
+  const undoBtn = $('undoBtn');
+  const redoBtn = $('redoBtn');
+  if (undoBtn) undoBtn.addEventListener('click', () => undo());
+  if (redoBtn) redoBtn.addEventListener('click', () => redo());
+  document.addEventListener('keydown', handleUndoKeys);
+  updateUndoButtons();
+
+  // data source (this browser or the server)
+  populateBackendUI();
+  const backendApplyBtn = $('backendApplyBtn');
+  if (backendApplyBtn) backendApplyBtn.addEventListener('click', () => applyBackendFromUI());
+  const loginForm = $('loginForm');
+  const logoutBtn = $('logoutBtn');
+  if (loginForm) loginForm.addEventListener('submit', (ev) => { ev.preventDefault(); login(); });
+  if (logoutBtn) logoutBtn.addEventListener('click', () => logout());
+  applyRoleToUI();
+  if (usingApi()) {
+    apiCurrentUser().then(user => {
+      account = user;
+      applyRoleToUI();
+      return pullFromServer();
+    }).catch(err => {
+      console.error("Failed to load from the server:", err);
+      setSyncStatus(`Could not load from the server (${err.message}); showing the copy saved in this browser.`, true);
+    });
+  }
 });
 
 /* ---------------------- Broadcast listener for same-tab updates (optional) ---------------------- */
 
+// Another tab saved: read everything again, rank settings first since ranks depend on them.
+// Nothing is written back; the tab that saved has already stored migrations and ranks.
+function reloadFromStorage() {
+  rankSettings = loadRankSettings();
+  tierMapping = readMappingStore({ readOnly: true }).mapping;
+  players = computeRanks(readPlayersStore({ readOnly: true }).players.map(normalizePlayer), rankSettings);
+  matches = loadMatches();
+  ratings = computeRatings(matches);
+  populateRankSettingsUI();
+  populateMappingUI();
+  populateTierFilter();
+  renderMatches();
+  applyFiltersAndRender();
+}
+
 // Listen for broadcast messages from other tabs
 if (typeof window !== 'undefined' && 'BroadcastChannel' in window) {
   try {
     const listener = new BroadcastChannel(CHANNEL_NAME);
     listener.onmessage = (ev) => {
       if (!ev || !ev.data) return;
-      if (ev.data.type === 'players-updated' || ev.data.type === 'mapping-updated') {
-        // reload and re-render
-        players = loadPlayers();
-        tierMapping = loadMapping();
-        populateMappingUI();
-        populateTierFilter();
-        applyFiltersAndRender();
-      }
+      if (ev.data.type === 'players-updated' || ev.data.type === 'mapping-updated') reloadFromStorage();
     };
   } catch (err) { console.warn("BroadcastChannel listen error:", err); }
 }
@@ -522,11 +1876,5 @@ if (typeof window !== 'undefined' && 'BroadcastChannel' in window) {
 // Also respond to storage events (older browsers / fallback)
 window.addEventListener('storage', (e) => {
   if (!e) return;
-  if (e.key === STORAGE_KEY || e.key === MAPPING_KEY) {
-    players = loadPlayers();
-    tierMapping = loadMapping();
-    populateMappingUI();
-    populateTierFilter();
-    applyFiltersAndRender();
-  }
+  if (e.key === STORAGE_KEY || e.key === MAPPING_KEY || e.key === MATCHES_KEY || e.key === RANK_SETTINGS_KEY) reloadFromStorage();
 });
\ No newline at end of file
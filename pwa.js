@@ -0,0 +1,8 @@
+// Client-side script: registers the service worker (sw.js) on every page so the site keeps working offline.
+// Service workers need https or localhost; elsewhere (and in file:// previews) the site just stays online-only.
+
+if ("serviceWorker" in navigator) {
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register("sw.js").catch(err => console.warn("Service worker registration failed:", err));
+  });
+}
@@ -0,0 +1,153 @@
+// Search query language for the players tables (players.js, players-view.js).
+//   blade                   name contains "blade", allowing a typo or two in longer words
+//   "sharp blade"           quotes keep spaces in a value
+//   LT3                     a bare tier code means tier:LT3
+//   name:blade              same as a bare word
+//   tier:>=HT3              best tier compared along TIER_ORDER (LT5 lowest ... HT1 highest); also >, <, <=, =
+//   points:<50  rank:<=10   numbers: =, >, >=, <, <=
+//   mode:sword              tiered in Sword; tier: terms in the same query then compare the Sword tier
+//   sword:>=LT2             the tier in one gamemode (any gamemode id or label)
+//   region:EU               players in one region (id or label, see REGIONS)
+//   -name:bot               a leading "-" negates a term
+// All terms must match. The gamemode dropdown acts like mode: when the query has no mode: term.
+// Load after storage.js (TIER_ORDER, GAMEMODES, REGIONS); uses nothing from the page.
+
+const QUERY_FIELDS = ["name", "tier", "points", "rank", "mode", "region"];
+const QUERY_OPS = [">=", "<=", ">", "<", "="];
+
+const queryNameCache = new WeakMap(); // player record -> lower-case name (records are replaced, not edited in place)
+let lastQuery = { text: null, parsed: null };
+
+function queryMode(value) {
+  const v = String(value || '').toLowerCase();
+  return GAMEMODES.find(m => m.id === v || m.label.toLowerCase() === v) || null;
+}
+
+function queryTier(value) {
+  const v = String(value || '').toUpperCase();
+  return TIER_ORDER.includes(v) ? v : null;
+}
+
+// Splits on spaces outside quotes: [-][field:][op]value
+function tokenizeQuery(text) {
+  return String(text || '').match(/-?(?:[^\s":]+:)?(?:"[^"]*"?|[^\s"]+)?/g).filter(Boolean);
+}
+
+function compareBy(op, a, b) {
+  if (op === '>') return a > b;
+  if (op === '>=') return a >= b;
+  if (op === '<') return a < b;
+  if (op === '<=') return a <= b;
+  return a === b;
+}
+
+// Parses a query; returns { terms, errors, empty }. Terms with errors are left out, the rest still apply.
+function parseQuery(text) {
+  if (lastQuery.text === text) return lastQuery.parsed;
+  const terms = [];
+  const errors = [];
+  tokenizeQuery(text).forEach(raw => {
+    let token = raw;
+    const negate = token.startsWith('-') && token.length > 1;
+    if (negate) token = token.slice(1);
+    let field = 'name';
+    const colon = token.indexOf(':');
+    if (colon > 0 && !token.startsWith('"')) {
+      field = token.slice(0, colon).toLowerCase();
+      token = token.slice(colon + 1);
+    } else if (queryTier(token)) {
+      field = 'tier';
+    }
+    const op = QUERY_OPS.find(o => token.startsWith(o)) || '';
+    let value = token.slice(op.length);
+    if (value.startsWith('"')) value = value.replace(/^"|"$/g, '');
+    value = value.trim();
+
+    const modeField = !QUERY_FIELDS.includes(field) ? queryMode(field) : null;
+    if (!QUERY_FIELDS.includes(field) && !modeField) {
+      errors.push(`unknown field "${field}:" (use ${QUERY_FIELDS.join(', ')} or a gamemode such as sword:)`);
+      return;
+    }
+    if (!value) { errors.push(`"${raw}" needs a value`); return; }
+
+    if (field === 'name') {
+      if (op) { errors.push(`name: cannot use "${op}"`); return; }
+      terms.push({ field, negate, value: value.toLowerCase() });
+    } else if (field === 'mode') {
+      const mode = queryMode(value);
+      if (op && op !== '=') { errors.push(`mode: cannot use "${op}"`); return; }
+      if (!mode) { errors.push(`unknown gamemode "${value}"`); return; }
+      terms.push({ field, negate, mode: mode.id });
+    } else if (field === 'region') {
+      const region = findRegion(value);
+      if (op && op !== '=') { errors.push(`region: cannot use "${op}"`); return; }
+      if (!region) { errors.push(`unknown region "${value}" (${REGIONS.map(r => r.id).join(', ')})`); return; }
+      terms.push({ field, negate, region: region.id });
+    } else if (field === 'tier' || modeField) {
+      const tier = queryTier(value);
+      if (!tier) { errors.push(`"${value}" is not a tier (${TIER_ORDER[0]} ... ${TIER_ORDER[TIER_ORDER.length - 1]})`); return; }
+      terms.push({ field: 'tier', negate, op: op || '=', index: TIER_ORDER.indexOf(tier), mode: modeField ? modeField.id : null });
+    } else {
+      const n = Number(value);
+      if (!Number.isFinite(n)) { errors.push(`${field}: needs a number, not "${value}"`); return; }
+      terms.push({ field, negate, op: op || '=', value: n });
+    }
+  });
+  const parsed = { terms, errors, empty: !terms.length };
+  lastQuery = { text, parsed };
+  return parsed;
+}
+
+// Smallest number of edits turning `pattern` into some part of `text` (approximate substring match)
+function editDistanceWithin(text, pattern) {
+  let prev = new Array(text.length + 1).fill(0);
+  for (let i = 1; i <= pattern.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= text.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (pattern[i - 1] === text[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return Math.min(...prev);
+}
+
+// Substring match that forgives one typo in words of 4+ letters and two in words of 8+
+function fuzzyNameMatch(p, q) {
+  let name = queryNameCache.get(p);
+  if (name === undefined) {
+    name = String(p.name || '').toLowerCase();
+    queryNameCache.set(p, name);
+  }
+  if (name.includes(q)) return true;
+  const allowed = q.length >= 8 ? 2 : q.length >= 4 ? 1 : 0;
+  return allowed > 0 && editDistanceWithin(name, q) <= allowed;
+}
+
+// `defaultMode`: the gamemode dropdown's value ("" for all); `tiersOf(p)` returns the player's tiers per gamemode
+function matchesQuery(p, parsed, defaultMode, tiersOf = (x) => x.tiers || {}) {
+  const modeTerm = parsed.terms.find(t => t.field === 'mode' && !t.negate);
+  const mode = modeTerm ? modeTerm.mode : defaultMode;
+  return parsed.terms.every(t => {
+    let ok;
+    if (t.field === 'name') ok = fuzzyNameMatch(p, t.value);
+    else if (t.field === 'mode') ok = !!tiersOf(p)[t.mode];
+    else if (t.field === 'region') ok = p.region === t.region;
+    else if (t.field === 'tier') {
+      const m = t.mode || mode;
+      const i = TIER_ORDER.indexOf(m ? tiersOf(p)[m] : p.tier);
+      ok = i !== -1 && compareBy(t.op, i, t.index);
+    } else {
+      ok = compareBy(t.op, Number(p[t.field]), t.value);
+    }
+    return t.negate ? !ok : ok;
+  });
+}
+
+// Inline feedback under a search box: errors in red, otherwise a short syntax hint while typing a field
+function renderQueryFeedback(el, text, parsed) {
+  if (!el) return;
+  el.style.color = parsed.errors.length ? '#ff6b6b' : '';
+  if (parsed.errors.length) el.textContent = `Ignored: ${parsed.errors.join('; ')}.`;
+  else if (/:/.test(text || '')) el.textContent = `${parsed.terms.length} condition(s) applied.`;
+  else el.textContent = '';
+}
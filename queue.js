@@ -0,0 +1,342 @@
+// Tier testing queue page (queue.html).
+// - Anyone can ask for a test in a gamemode and see their place in that gamemode's line
+// - Testers claim a waiting test, then record the result tier and fight score; the result sets the player's
+//   tier in that gamemode and the points follow the tier mapping (testing.js)
+// - Uses the LightTiers server when it answers (shared queue; testers sign in on the Players page).
+//   Without a server the queue and the players list live in this browser, next to the editor's data.
+
+const TESTER_KEY = "mctiers_tester_name_v1"; // same name the editor uses for "Tested / entered by"
+const QUEUE_REFRESH_MS = 30 * 1000;
+const RECENT_RESULTS = 10;
+
+let queue = [];
+let serverMode = false;
+let account = null;       // signed-in server account
+let completingId = null;  // request shown in the result dialog
+
+const bc = (typeof window !== 'undefined' && 'BroadcastChannel' in window) ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+function $(id) { return document.getElementById(id); }
+function escapeHtml(s) {
+  if (s === null || s === undefined) return '';
+  return String(s).replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;");
+}
+
+function modeName(id) {
+  const m = GAMEMODES.find(g => g.id === id);
+  return m ? m.label : id;
+}
+
+// "5 min ago", "3 h ago", "2 d ago"
+function timeAgo(iso) {
+  const mins = Math.max(0, Math.round((Date.now() - new Date(iso).getTime()) / 60000));
+  if (mins < 60) return `${mins} min ago`;
+  if (mins < 48 * 60) return `${Math.round(mins / 60)} h ago`;
+  return `${Math.round(mins / 1440)} d ago`;
+}
+
+function testerName() {
+  if (serverMode) return account ? account.username : "";
+  const name = (($('testerName') && $('testerName').value) || "").trim();
+  if (name) localStorage.setItem(TESTER_KEY, name);
+  return name || localStorage.getItem(TESTER_KEY) || "";
+}
+
+function canTest() {
+  return serverMode ? !!account : true;
+}
+
+// Testers act on their own claims; admins (and the single user of a local queue) on every claim
+function ownsClaim(r) {
+  if (!serverMode || (account && account.role === 'admin')) return true;
+  return !!account && r.claimedBy === account.username;
+}
+
+/* ---------------------- local queue (no server) ---------------------- */
+
+function loadLocalQueue() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(QUEUE_KEY) || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    console.error("Failed to load the testing queue:", e);
+    return [];
+  }
+}
+
+function saveLocalQueue() {
+  localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+}
+
+function localTest(id, expect) {
+  const r = queue.find(q => q.id === id);
+  if (!r) throw new Error("test request not found");
+  if (expect && r.status !== expect) throw new Error(`this test is ${r.status}, not ${expect}`);
+  return r;
+}
+
+// Same steps as the server: set the tier, rank, log the change and tell open editor/view tabs
+function completeLocalTest(r, result, by) {
+  const stored = readPlayersStore();
+  if (stored.corrupt) throw new Error("the saved players list could not be read; open the Players page to recover it");
+  const before = stored.players;
+  const mapping = readMappingStore({ readOnly: true }).mapping;
+  const applied = applyTestResult(before, r, result.tier, mapping);
+  const old = before.find(p => p.id === applied.player.id);
+  if (!old || old.points !== applied.player.points) applied.player.pointsSince = new Date().toISOString();
+  const after = computeRanks(applied.players.map(p => p.id === applied.player.id ? applied.player : p), loadRankSettings());
+  const score = normalizeScore(result.score);
+  appendHistory(diffForHistory(before, after, by, `test ${r.mode} ${score}`));
+  writePlayersStore(after);
+  Object.assign(r, {
+    status: 'done', completedAt: new Date().toISOString(), playerId: applied.player.id,
+    result: { tier: result.tier, score, testedBy: by, note: String(result.note || '').trim() }
+  });
+  try { if (bc) bc.postMessage({ type: 'players-updated', source: 'queue' }); } catch(e){/*ignore*/ }
+}
+
+/* ---------------------- actions (server or local) ---------------------- */
+
+async function requestTest(input) {
+  if (serverMode) return apiRequest('POST', 'api/queue', input);
+  const problems = validateTestRequest(input, queue);
+  if (problems.length) throw new Error(problems.join(', '));
+  const r = newTestRequest(input);
+  queue.push(r);
+  saveLocalQueue();
+  return r;
+}
+
+async function claimTest(id) {
+  if (serverMode) return apiRequest('POST', `api/queue/${encodeURIComponent(id)}/claim`);
+  const by = testerName();
+  if (!by) throw new Error("enter your tester name first");
+  Object.assign(localTest(id, 'waiting'), { status: 'testing', claimedBy: by, claimedAt: new Date().toISOString() });
+  saveLocalQueue();
+}
+
+async function releaseTest(id) {
+  if (serverMode) return apiRequest('POST', `api/queue/${encodeURIComponent(id)}/release`);
+  Object.assign(localTest(id, 'testing'), { status: 'waiting', claimedBy: '', claimedAt: null });
+  saveLocalQueue();
+}
+
+async function cancelTest(id) {
+  if (serverMode) return apiRequest('DELETE', `api/queue/${encodeURIComponent(id)}`);
+  const r = localTest(id);
+  if (!isOpenRequest(r)) throw new Error(`this test is already ${r.status}`);
+  Object.assign(r, { status: 'cancelled', completedAt: new Date().toISOString(), cancelledBy: testerName() });
+  saveLocalQueue();
+}
+
+async function completeTest(id, result) {
+  if (serverMode) return apiRequest('POST', `api/queue/${encodeURIComponent(id)}/complete`, result);
+  const problems = validateTestResult(result);
+  if (problems.length) throw new Error(problems.join(', '));
+  completeLocalTest(localTest(id, 'testing'), result, testerName());
+  saveLocalQueue();
+}
+
+// Runs an action, then reloads the queue; errors are shown instead of thrown
+async function runAction(fn) {
+  try {
+    await fn();
+  } catch (err) {
+    alert(`Could not update the queue: ${err.message}`);
+  }
+  await refreshQueue();
+}
+
+/* ---------------------- loading ---------------------- */
+
+// The server's queue when the server answers, else this browser's
+async function refreshQueue() {
+  try {
+    queue = await apiRequest('GET', 'api/queue');
+    if (!serverMode) account = await apiCurrentUser();
+    serverMode = true;
+  } catch (e) {
+    serverMode = false;
+    account = null;
+    queue = loadLocalQueue();
+  }
+  render();
+}
+
+/* ---------------------- rendering ---------------------- */
+
+function populateModeSelects() {
+  const opts = GAMEMODES.map(m => `<option value="${escapeHtml(m.id)}">${escapeHtml(m.label)}</option>`).join('');
+  if ($('reqMode')) $('reqMode').innerHTML = opts;
+  if ($('queueModeFilter')) $('queueModeFilter').innerHTML = '<option value="">All gamemodes</option>' + opts;
+  if ($('resultTier')) $('resultTier').innerHTML = TIER_ORDER.slice().reverse().map(t => `<option value="${t}">${t}</option>`).join('');
+}
+
+function actionsHtml(r) {
+  const id = escapeHtml(r.id);
+  const buttons = [];
+  if (r.status === 'waiting') buttons.push(`<button class="btn" data-action="claim" data-id="${id}">Claim</button>`);
+  if (r.status === 'testing' && ownsClaim(r)) {
+    buttons.push(`<button class="btn primary" data-action="complete" data-id="${id}">Record result</button>`);
+    buttons.push(`<button class="btn" data-action="release" data-id="${id}">Release</button>`);
+  }
+  if (r.status !== 'testing' || ownsClaim(r)) buttons.push(`<button class="btn" data-action="cancel" data-id="${id}">Remove</button>`);
+  return buttons.join(' ');
+}
+
+function renderQueueTable() {
+  const tbody = $('queueBody');
+  if (!tbody) return;
+  const mode = ($('queueModeFilter') && $('queueModeFilter').value) || '';
+  const mine = !!($('mineOnly') && $('mineOnly').checked);
+  const positions = queuePositions(queue);
+  const me = testerName();
+  // tests in progress first, then the line in order
+  const list = queue.filter(isOpenRequest)
+    .filter(r => !mode || r.mode === mode)
+    .filter(r => !mine || (r.status === 'testing' && r.claimedBy === me))
+    .sort((a, b) => (a.status === b.status ? 0 : a.status === 'testing' ? -1 : 1) ||
+      (a.mode === b.mode ? 0 : a.mode < b.mode ? -1 : 1) || (positions.get(a.id) || 0) - (positions.get(b.id) || 0));
+  const showActions = canTest();
+  document.querySelectorAll('.tester-col').forEach(el => el.classList.toggle('hidden', !showActions));
+  tbody.innerHTML = list.length ? list.map(r => `
+      <tr style="border-top:1px solid rgba(255,255,255,0.02)">
+        <td style="padding:0.6rem 0.8rem">${r.status === 'waiting' ? escapeHtml(positions.get(r.id)) : '—'}</td>
+        <td style="padding:0.6rem 0.8rem" title="${escapeHtml(r.note)}">${escapeHtml(r.name)}${r.note ? ' <span class="muted small">📝</span>' : ''}</td>
+        <td style="padding:0.6rem 0.8rem">${escapeHtml(modeName(r.mode))}</td>
+        <td style="padding:0.6rem 0.8rem" class="muted">${escapeHtml(timeAgo(r.requestedAt))}</td>
+        <td style="padding:0.6rem 0.8rem">${r.status === 'testing' ? `Testing with ${escapeHtml(r.claimedBy)}` : 'Waiting'}</td>
+        ${showActions ? `<td style="padding:0.6rem 0.8rem;white-space:nowrap">${actionsHtml(r)}</td>` : ''}
+      </tr>`).join('')
+    : `<tr><td colspan="6" class="muted" style="padding:0.6rem 0.8rem">Nobody is waiting${mode ? ` for ${escapeHtml(modeName(mode))}` : ''}.</td></tr>`;
+}
+
+function renderRecentResults() {
+  const el = $('recentResults');
+  if (!el) return;
+  const done = queue.filter(r => r.status === 'done' && r.result)
+    .sort((a, b) => a.completedAt < b.completedAt ? 1 : -1)
+    .slice(0, RECENT_RESULTS);
+  el.innerHTML = done.length ? done.map(r => `
+      <li class="timeline-item">
+        <strong>${escapeHtml(r.name)}</strong> — ${escapeHtml(modeName(r.mode))} ${escapeHtml(r.result.tier)}
+        <span class="muted small">(${escapeHtml(r.result.score)}, tested by ${escapeHtml(r.result.testedBy || '—')}, ${escapeHtml(timeAgo(r.completedAt))})</span>
+      </li>`).join('')
+    : '<li class="muted">No results yet.</li>';
+}
+
+function render() {
+  const source = $('queueSource');
+  if (source) {
+    source.textContent = serverMode
+      ? 'Live queue from the server.'
+      : 'No server found: this queue is kept in this browser only, and results update the players list saved here.';
+  }
+  const bar = $('testerBar');
+  if (bar) bar.classList.toggle('hidden', !canTest());
+  document.querySelectorAll('.local-only').forEach(el => el.classList.toggle('hidden', serverMode));
+  if ($('testerInfo')) $('testerInfo').textContent = (serverMode && account) ? `Signed in as ${account.username} (${account.role})` : '';
+  if ($('signInHint')) $('signInHint').classList.toggle('hidden', !serverMode || !!account);
+  renderQueueTable();
+  renderRecentResults();
+}
+
+/* ---------------------- result dialog ---------------------- */
+
+async function openCompleteDialog(id) {
+  const r = queue.find(q => q.id === id);
+  const dlg = $('completeDialog');
+  if (!r || !dlg) return;
+  completingId = id;
+  $('completeTitle').textContent = `${r.name} — ${modeName(r.mode)} test`;
+  let list = [];
+  try {
+    list = serverMode ? await apiRequest('GET', 'api/players') : readPlayersStore({ readOnly: true }).players;
+  } catch (err) {
+    console.warn("Could not load the player's current tier:", err);
+  }
+  const known = list.find(p => p.name.toLowerCase() === r.name.toLowerCase());
+  const current = known && known.tiers && known.tiers[r.mode];
+  $('completeCurrent').textContent = current ? `Current ${modeName(r.mode)} tier: ${current}` : 'No tier in this gamemode yet.';
+  if (current) $('resultTier').value = current;
+  $('resultScore').value = '';
+  $('resultNote').value = '';
+  $('completeError').textContent = '';
+  if (typeof dlg.showModal === 'function') dlg.showModal();
+  else dlg.setAttribute('open', '');
+}
+
+function closeCompleteDialog() {
+  const dlg = $('completeDialog');
+  if (!dlg) return;
+  if (typeof dlg.close === 'function') dlg.close();
+  else dlg.removeAttribute('open');
+}
+
+async function submitCompleteDialog() {
+  const result = { tier: $('resultTier').value, score: $('resultScore').value, note: $('resultNote').value };
+  const problems = validateTestResult(result);
+  if (problems.length) { $('completeError').textContent = problems.join(', '); return; }
+  try {
+    await completeTest(completingId, result);
+    closeCompleteDialog();
+  } catch (err) {
+    $('completeError').textContent = err.message;
+    return;
+  }
+  await refreshQueue();
+}
+
+/* ---------------------- wiring ---------------------- */
+
+document.addEventListener('DOMContentLoaded', () => {
+  if ($('yearQueue')) $('yearQueue').textContent = new Date().getFullYear();
+  populateModeSelects();
+  if ($('testerName')) $('testerName').value = localStorage.getItem(TESTER_KEY) || '';
+  refreshQueue();
+  setInterval(() => { if (serverMode) refreshQueue(); }, QUEUE_REFRESH_MS);
+
+  const form = $('requestForm');
+  if (form) form.addEventListener('submit', async (ev) => {
+    ev.preventDefault();
+    const input = { name: $('reqName').value.trim(), mode: $('reqMode').value, note: $('reqNote').value.trim() };
+    const msg = $('requestMessage');
+    try {
+      const r = await requestTest(input);
+      await refreshQueue();
+      msg.style.color = '';
+      msg.textContent = `${r.name} joined the ${modeName(r.mode)} queue at position ${queuePositions(queue).get(r.id) || '?'}.`;
+      form.reset();
+    } catch (err) {
+      msg.style.color = '#ff6b6b';
+      msg.textContent = `Could not join the queue: ${err.message}.`;
+    }
+  });
+
+  const tbody = $('queueBody');
+  if (tbody) tbody.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+    const id = btn.dataset.id;
+    const action = btn.dataset.action;
+    if (action === 'claim') runAction(() => claimTest(id));
+    if (action === 'release') runAction(() => releaseTest(id));
+    if (action === 'complete') openCompleteDialog(id);
+    if (action === 'cancel' && confirm('Remove this request from the queue?')) runAction(() => cancelTest(id));
+  });
+
+  if ($('queueModeFilter')) $('queueModeFilter').addEventListener('change', () => renderQueueTable());
+  if ($('mineOnly')) $('mineOnly').addEventListener('change', () => renderQueueTable());
+  if ($('testerName')) $('testerName').addEventListener('change', () => { testerName(); renderQueueTable(); });
+  const completeForm = $('completeForm');
+  if (completeForm) completeForm.addEventListener('submit', (ev) => { ev.preventDefault(); submitCompleteDialog(); });
+  if ($('completeCancelBtn')) $('completeCancelBtn').addEventListener('click', () => closeCompleteDialog());
+});
+
+// another tab changed the local queue
+window.addEventListener('storage', (e) => {
+  if (e && e.key === QUEUE_KEY && !serverMode) {
+    queue = loadLocalQueue();
+    render();
+  }
+});
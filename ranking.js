@@ -0,0 +1,185 @@
+// Rank computation shared by the editor and every page that has to rank players itself
+// (e.g. the Rankings page when it merges published data with local edits).
+// Also decides who counts as active, inactive or retired, and applies the optional inactivity decay.
+// Load after storage.js (TIER_ORDER, REGIONS); the *Html helpers use the page's escapeHtml.
+
+const RANK_SETTINGS_KEY = "mctiers_rank_settings_v1";
+
+// How players with equal points are ordered: "tier" (higher best tier first), "earliest" (reached the points first) or "alpha"
+// Players away longer than inactiveAfterDays / retireAfterDays count as inactive / retired (0 = never).
+// decay ("off", "points" or "tier"): after decayAfterDays away, one step every decayEveryDays takes
+// decayPoints points or one tier per gamemode.
+const rankSettingsDefault = {
+  tieBreak: "tier", shareTies: true,
+  inactiveAfterDays: 0, retireAfterDays: 0,
+  decay: "off", decayAfterDays: 60, decayEveryDays: 30, decayPoints: 10
+};
+
+// Statuses an editor can set by hand; an empty status means "decide from the dates"
+const PLAYER_STATUSES = ["active", "inactive", "retired"];
+const DECAY_MODES = ["off", "points", "tier"];
+const ACTIVITY_DAY_MS = 24 * 60 * 60 * 1000;
+
+function loadRankSettings() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(RANK_SETTINGS_KEY) || "{}");
+    return { ...rankSettingsDefault, ...parsed };
+  } catch (e) {
+    console.error("Failed to load rank settings:", e);
+    return { ...rankSettingsDefault };
+  }
+}
+
+function saveRankSettings(settings) {
+  localStorage.setItem(RANK_SETTINGS_KEY, JSON.stringify(settings));
+}
+
+function compareTieBreak(a, b, settings) {
+  if (settings.tieBreak === "tier") {
+    const d = TIER_ORDER.indexOf(b.tier) - TIER_ORDER.indexOf(a.tier);
+    if (d) return d;
+  } else if (settings.tieBreak === "earliest") {
+    // players without a timestamp sort after everyone who has one
+    const ta = a.pointsSince || "\uffff";
+    const tb = b.pointsSince || "\uffff";
+    if (ta !== tb) return ta < tb ? -1 : 1;
+  }
+  return String(a.name).localeCompare(String(b.name));
+}
+
+/* ---------------------- activity ---------------------- */
+
+function todayIso(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+// The later of lastActive (matches) and lastTested (tier changes), "" when neither is known
+function lastSeen(p) {
+  return [p.lastActive, p.lastTested].filter(Boolean).sort().pop() || "";
+}
+
+// Whole days since the player was last seen; null when that is unknown
+function daysAway(p, now = Date.now()) {
+  const last = lastSeen(p);
+  if (!last || Number.isNaN(Date.parse(last))) return null;
+  return Math.floor((now - Date.parse(last)) / ACTIVITY_DAY_MS);
+}
+
+// "active", "inactive" or "retired": a status set by hand wins, otherwise the days away decide.
+// Players without any date stay active.
+function activityOf(p, settings = rankSettingsDefault, now = Date.now()) {
+  if (PLAYER_STATUSES.includes(p.status)) return p.status;
+  const away = daysAway(p, now);
+  if (away === null) return "active";
+  if (settings.retireAfterDays > 0 && away >= settings.retireAfterDays) return "retired";
+  if (settings.inactiveAfterDays > 0 && away >= settings.inactiveAfterDays) return "inactive";
+  return "active";
+}
+
+// Applies settings.decay to everyone away longer than decayAfterDays (players set to "active" by hand
+// are exempt). `decaySteps` remembers how many steps a player already took since the date in `decayFrom`,
+// so running this again only applies new steps; a newer last-seen date starts the count over (nothing
+// is given back).
+// Returns { players, decayed }: `players` is the same array when no record changed.
+function applyDecay(list, settings, mapping, now = Date.now()) {
+  if (!settings || !["points", "tier"].includes(settings.decay)) return { players: list, decayed: [] };
+  const after = Math.max(0, Number(settings.decayAfterDays) || 0);
+  const every = Math.max(1, Number(settings.decayEveryDays) || 1);
+  const decayed = [];
+  let touched = false;
+  const players = list.map(p => {
+    const away = daysAway(p, now);
+    const last = lastSeen(p);
+    const due = (p.status === "active" || away === null || away < after) ? 0 : Math.floor((away - after) / every) + 1;
+    const done = p.decayFrom === last ? Number(p.decaySteps) || 0 : 0;
+    if (due === done && (Number(p.decaySteps) || 0) === done) return p;
+    touched = true;
+    if (due <= done) return { ...p, decaySteps: due, decayFrom: due ? last : "" };
+    const steps = due - done;
+    const next = { ...p, decaySteps: due, decayFrom: last };
+    if (settings.decay === "points") {
+      next.points = Math.max(0, (Number(p.points) || 0) - steps * (Number(settings.decayPoints) || 0));
+    } else {
+      next.tiers = {};
+      Object.entries(p.tiers || {}).forEach(([mode, t]) => {
+        const i = TIER_ORDER.indexOf(t);
+        next.tiers[mode] = i === -1 ? t : TIER_ORDER[Math.max(0, i - steps)];
+      });
+      next.tier = Object.values(next.tiers).reduce((best, t) => TIER_ORDER.indexOf(t) > TIER_ORDER.indexOf(best) ? t : best, "");
+      next.points = Object.values(next.tiers).reduce((sum, t) => sum + (Number(mapping[t]) || 0), 0);
+    }
+    decayed.push(next);
+    return next;
+  });
+  return { players: touched ? players : list, decayed };
+}
+
+/* ---------------------- ranks ---------------------- */
+
+// Returns the list ordered by points with `rank`, `regionRank` and `activity` filled in. With shareTies,
+// equal points share a rank ("1, 2, 2, 4"); otherwise the tie-break decides. Retired players are ranked
+// after everyone else, so the active ladder has no gaps. `regionRank` is the same ladder counted within
+// the player's region (null without one). A pinned `rankOverride` replaces the computed global rank,
+// which is kept in `computedRank` so every page can show the override as such.
+function computeRanks(list, settings = rankSettingsDefault, now = Date.now()) {
+  const byPoints = (a, b) => (b.points - a.points) || compareTieBreak(a, b, settings);
+  const tied = (a, b) => a.points === b.points && (a.activity === "retired") === (b.activity === "retired");
+  const withActivity = list.map(p => ({ ...p, activity: activityOf(p, settings, now) }));
+  const sorted = withActivity.filter(p => p.activity !== "retired").sort(byPoints)
+    .concat(withActivity.filter(p => p.activity === "retired").sort(byPoints));
+  let prev = null;
+  const regions = new Map(); // region -> { count, prev } while walking the ladder
+  return sorted.map((p, i) => {
+    const computed = (settings.shareTies && prev && tied(prev.p, p)) ? prev.rank : i + 1;
+    prev = { p, rank: computed };
+    let regionRank = null;
+    if (p.region) {
+      const r = regions.get(p.region) || { count: 0, prev: null };
+      r.count += 1;
+      regionRank = (settings.shareTies && r.prev && tied(r.prev.p, p)) ? r.prev.rank : r.count;
+      r.prev = { p, rank: regionRank };
+      regions.set(p.region, r);
+    }
+    const pinned = Number(p.rankOverride) > 0;
+    return { ...p, rank: pinned ? Number(p.rankOverride) : computed, computedRank: computed, rankPinned: pinned, regionRank };
+  });
+}
+
+// pinned ranks are manual overrides set in the editor
+function rankCellHtml(p) {
+  if (!p.rankPinned) return escapeHtml(p.rank);
+  return `<span title="Manual override (computed rank ${escapeHtml(p.computedRank)})">📌 ${escapeHtml(p.rank)}</span>`;
+}
+
+// Flag emoji for a two-letter country code ("DE" -> 🇩🇪), "" for anything else
+function countryFlag(code) {
+  const c = String(code || "").toUpperCase();
+  if (!/^[A-Z]{2}$/.test(c)) return "";
+  return String.fromCodePoint(...[...c].map(ch => 0x1F1E6 + ch.charCodeAt(0) - 65));
+}
+
+// Region column: flag, region and the rank within it
+function regionCellHtml(p) {
+  const flag = countryFlag(p.country);
+  const region = REGIONS.find(r => r.id === p.region);
+  if (!region && !flag) return '<span class="muted">—</span>';
+  const name = region ? `<span title="${escapeHtml(region.label)}">${escapeHtml(region.id)}</span>` : "";
+  const rank = region && p.regionRank ? ` <span class="muted">#${escapeHtml(p.regionRank)}</span>` : "";
+  return `${flag ? `<span title="${escapeHtml(p.country)}">${flag}</span> ` : ""}${name}${rank}`;
+}
+
+// Badge shown after the name of inactive and retired players
+function activityBadgeHtml(p) {
+  if (!p.activity || p.activity === "active") return "";
+  const last = lastSeen(p);
+  const title = last ? `Last seen ${last}` : (p.status ? "Set by an editor" : "");
+  return ` <span class="status-badge ${escapeHtml(p.activity)}" title="${escapeHtml(title)}">${escapeHtml(p.activity)}</span>`;
+}
+
+// The Node server (server/) ranks players with the same rules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    rankSettingsDefault, PLAYER_STATUSES, DECAY_MODES, computeRanks, compareTieBreak,
+    todayIso, lastSeen, daysAway, activityOf, applyDecay
+  };
+}
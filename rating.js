@@ -0,0 +1,144 @@
+// Match results and Elo-style ratings, shared by the editor, the Rankings page and the Node server.
+// - A match: { id, a, b (player ids), scoreA, scoreB, mode (gamemode id), date (YYYY-MM-DD), recordedBy }
+// - Ratings are not stored: they are replayed from all matches in date order whenever a page needs them,
+//   so deleting or correcting a match simply changes the result of the next replay
+// - Every player has an overall rating and one per gamemode; the score share (3-1 = 0.75) is the match result
+// - A player with enough games whose gamemode rating is far from what their tier in that gamemode suggests
+//   is a promotion or demotion candidate
+// - Without the server, matches are kept in this browser under "mctiers_matches_v1"
+// Load after storage.js (TIER_ORDER, GAMEMODES, makeId).
+
+const MATCHES_KEY = "mctiers_matches_v1";
+const ELO_START = 1000;
+const ELO_K = 32;
+const RATING_MIN_GAMES = 5;     // fewer games in a gamemode: no suggestion yet
+const RATING_FLAG_MARGIN = 100; // rating this far from the tier's expected rating raises a flag
+const TIER_RATING_BASE = 800;   // expected rating of the lowest tier (LT5)
+const TIER_RATING_STEP = 50;    // ... plus this much per tier above it
+
+function loadMatches() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(MATCHES_KEY) || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    console.error("Failed to load matches:", e);
+    return [];
+  }
+}
+
+function saveMatches(list) {
+  localStorage.setItem(MATCHES_KEY, JSON.stringify(list));
+}
+
+// Problems with a match (empty when it can be saved). `players` (optional) checks that both ids exist.
+function validateMatch(m, players) {
+  const problems = [];
+  if (!m || typeof m !== 'object') return ["match must be an object"];
+  if (!m.a || !m.b) problems.push("both players are required");
+  else if (m.a === m.b) problems.push("a player cannot play against themselves");
+  if (players && m.a && !players.some(p => p.id === m.a)) problems.push("player A is not on the list");
+  if (players && m.b && !players.some(p => p.id === m.b)) problems.push("player B is not on the list");
+  const sa = Number(m.scoreA);
+  const sb = Number(m.scoreB);
+  if (!Number.isInteger(sa) || !Number.isInteger(sb) || sa < 0 || sb < 0 || sa > 99 || sb > 99) problems.push("scores must be whole numbers from 0 to 99");
+  else if (sa + sb === 0) problems.push("score cannot be 0-0");
+  if (!GAMEMODES.some(g => g.id === m.mode)) problems.push("unknown gamemode");
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(m.date || "")) || Number.isNaN(Date.parse(m.date))) problems.push("date must be YYYY-MM-DD");
+  return problems;
+}
+
+function newMatch(input, by) {
+  return {
+    id: input.id ? String(input.id) : makeId(),
+    a: String(input.a), b: String(input.b),
+    scoreA: Number(input.scoreA), scoreB: Number(input.scoreB),
+    mode: input.mode, date: input.date,
+    recordedBy: by || "", recordedAt: new Date().toISOString()
+  };
+}
+
+function expectedScore(ra, rb) {
+  return 1 / (1 + Math.pow(10, (rb - ra) / 400));
+}
+
+// playerId -> { rating, games, wins, losses, modes: { [modeId]: { rating, games } } }, replayed oldest first
+function computeRatings(matches) {
+  const stats = new Map();
+  const get = (id) => {
+    if (!stats.has(id)) stats.set(id, { rating: ELO_START, games: 0, wins: 0, losses: 0, modes: {} });
+    return stats.get(id);
+  };
+  const modeOf = (s, mode) => s.modes[mode] || (s.modes[mode] = { rating: ELO_START, games: 0 });
+  (matches || []).slice()
+    .sort((x, y) => (x.date < y.date ? -1 : x.date > y.date ? 1 : 0) || String(x.recordedAt || "").localeCompare(String(y.recordedAt || "")))
+    .forEach(m => {
+      const total = Number(m.scoreA) + Number(m.scoreB);
+      if (!total || m.a === m.b) return;
+      const share = Number(m.scoreA) / total;
+      const A = get(m.a);
+      const B = get(m.b);
+      const ea = expectedScore(A.rating, B.rating);
+      A.rating += ELO_K * (share - ea);
+      B.rating += ELO_K * ((1 - share) - (1 - ea));
+      const am = modeOf(A, m.mode);
+      const bm = modeOf(B, m.mode);
+      const eam = expectedScore(am.rating, bm.rating);
+      am.rating += ELO_K * (share - eam);
+      bm.rating += ELO_K * ((1 - share) - (1 - eam));
+      A.games++; B.games++; am.games++; bm.games++;
+      if (share > 0.5) { A.wins++; B.losses++; }
+      else if (share < 0.5) { B.wins++; A.losses++; }
+    });
+  stats.forEach(s => {
+    s.rating = Math.round(s.rating);
+    Object.values(s.modes).forEach(ms => { ms.rating = Math.round(ms.rating); });
+  });
+  return stats;
+}
+
+// The rating a player of this tier is expected to have; null for unknown tiers
+function tierRating(tier) {
+  const i = TIER_ORDER.indexOf(tier);
+  return i === -1 ? null : TIER_RATING_BASE + i * TIER_RATING_STEP;
+}
+
+// [{ mode, tier, rating, games, expected, kind: "promotion" | "demotion" }] for one player
+function ratingFlags(player, stats) {
+  if (!stats) return [];
+  const flags = [];
+  Object.entries(stats.modes).forEach(([mode, ms]) => {
+    const tier = (player.tiers || {})[mode];
+    const expected = tierRating(tier);
+    if (expected === null || ms.games < RATING_MIN_GAMES) return;
+    if (ms.rating >= expected + RATING_FLAG_MARGIN && tier !== TIER_ORDER[TIER_ORDER.length - 1]) {
+      flags.push({ mode, tier, rating: ms.rating, games: ms.games, expected, kind: "promotion" });
+    } else if (ms.rating <= expected - RATING_FLAG_MARGIN && tier !== TIER_ORDER[0]) {
+      flags.push({ mode, tier, rating: ms.rating, games: ms.games, expected, kind: "demotion" });
+    }
+  });
+  return flags;
+}
+
+// Rating shown for a player: the gamemode's rating when a gamemode is picked, else the overall one; null without games
+function displayRating(stats, mode) {
+  if (!stats) return null;
+  if (mode) return stats.modes[mode] ? stats.modes[mode].rating : null;
+  return stats.games ? stats.rating : null;
+}
+
+// Rating cell for the player tables; `flags` (editor only) adds ↑ / ↓ for promotion / demotion candidates.
+// Uses the page's escapeHtml and GAMEMODES.
+function ratingCellHtml(stats, mode, flags) {
+  const r = displayRating(stats, mode);
+  if (r === null) return '<span class="muted">—</span>';
+  const label = (id) => (GAMEMODES.find(g => g.id === id) || { label: id }).label;
+  const marks = (flags || []).filter(f => !mode || f.mode === mode).map(f =>
+    `<span class="rating-flag ${f.kind}" title="${escapeHtml(`${f.kind === 'promotion' ? 'Promotion' : 'Demotion'} candidate in ${label(f.mode)}: rating ${f.rating} after ${f.games} games, ${f.tier} expects about ${f.expected}`)}">${f.kind === 'promotion' ? '↑' : '↓'}</span>`
+  ).join('');
+  return `<span title="${escapeHtml(`${stats.wins}W ${stats.losses}L in ${stats.games} games`)}">${escapeHtml(r)}</span>${marks}`;
+}
+
+// The Node server (server/) validates matches with the same rules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { validateMatch, newMatch, computeRatings, tierRating, ratingFlags };
+}
@@ -0,0 +1,110 @@
+// Accounts and sessions for the LightTiers server.
+// - Passwords are stored as salted scrypt hashes ("scrypt$<salt>$<hash>", hex); plain passwords are never kept
+// - Sessions are random tokens held in memory and sent as an HttpOnly, SameSite=Strict cookie;
+//   restarting the server signs everyone out
+// - Roles: "tester" may change the tiers of existing players; "admin" may also add, rename and delete players,
+//   edit the mapping and rank settings, import, clear and manage accounts
+
+'use strict';
+
+const crypto = require('crypto');
+
+const ROLES = ['tester', 'admin'];
+const SESSION_COOKIE = 'mctiers_session';
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const LOGIN_MAX_FAILURES = 10;
+const LOGIN_LOCK_MS = 15 * 60 * 1000;
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = crypto.scryptSync(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Cookies whose value is not valid percent-encoding are left out
+function parseCookies(header) {
+  const out = {};
+  String(header || '').split(';').forEach(part => {
+    const i = part.indexOf('=');
+    if (i === -1) return;
+    const key = part.slice(0, i).trim();
+    if (!key) return;
+    try {
+      out[key] = decodeURIComponent(part.slice(i + 1).trim());
+    } catch (e) {
+      // malformed value: ignore it like a missing cookie
+    }
+  });
+  return out;
+}
+
+function sessionCookie(token, maxAgeMs) {
+  return `${SESSION_COOKIE}=${token}; HttpOnly; SameSite=Strict; Path=/; Max-Age=${Math.floor(maxAgeMs / 1000)}`;
+}
+
+// In-memory sessions: token -> { userId, expires }
+function createSessions(ttlMs = SESSION_TTL_MS) {
+  const sessions = new Map();
+  return {
+    create(userId) {
+      const token = crypto.randomBytes(32).toString('hex');
+      sessions.set(token, { userId, expires: Date.now() + ttlMs });
+      return token;
+    },
+    get(token) {
+      const s = token && sessions.get(token);
+      if (!s) return null;
+      if (s.expires < Date.now()) {
+        sessions.delete(token);
+        return null;
+      }
+      return s;
+    },
+    destroy(token) {
+      sessions.delete(token);
+    },
+    // e.g. after an account is deleted or its password changed
+    destroyForUser(userId) {
+      sessions.forEach((s, token) => { if (s.userId === userId) sessions.delete(token); });
+    },
+    ttlMs
+  };
+}
+
+// Failed logins per username; after LOGIN_MAX_FAILURES the name is locked for LOGIN_LOCK_MS
+function createLoginLimiter() {
+  const failures = new Map();
+  return {
+    locked(name) {
+      const f = failures.get(name);
+      if (!f) return false;
+      if (f.until && f.until < Date.now()) {
+        failures.delete(name);
+        return false;
+      }
+      return !!f.until;
+    },
+    fail(name) {
+      const f = failures.get(name) || { count: 0, until: 0 };
+      f.count++;
+      if (f.count >= LOGIN_MAX_FAILURES) f.until = Date.now() + LOGIN_LOCK_MS;
+      failures.set(name, f);
+    },
+    reset(name) {
+      failures.delete(name);
+    }
+  };
+}
+
+module.exports = {
+  ROLES, SESSION_COOKIE, hashPassword, verifyPassword, parseCookies, sessionCookie,
+  createSessions, createLoginLimiter
+};
@@ -0,0 +1,436 @@
+// Small self-hostable backend for LightTiers.
+// - Serves the static site (the repository root) and a JSON REST API backed by a JSON file store
+// - No dependencies and no outside services: `node server/server.js` then open http://localhost:8080
+//
+// Options (flags or environment):
+//   --port / PORT            port to listen on (default 8080)
+//   --host / HOST            interface to bind (default 127.0.0.1)
+//   --data / MCTIERS_DB      database file (default server/data/db.json)
+//   --status-hosts / MCTIERS_STATUS_HOSTS   comma-separated Minecraft addresses /api/status may ping
+//                            (default: the hosts in SERVERS in app.js; "*" allows any address, which makes the
+//                            endpoint an open ping proxy)
+//
+// API (JSON in and out, errors are { error }). Reading is public; writing needs a signed-in account
+// (see auth.js for the roles). Access: - public, T tester or admin, A admin only.
+//   POST   /api/login              - { username, password } -> signs in (session cookie)
+//   POST   /api/logout             - signs out
+//   GET    /api/me                 - the signed-in account, 401 when signed out
+//   GET    /api/players            - ranked list of players
+//   POST   /api/players            A create a player
+//   PUT    /api/players            A replace the whole list (imports, clear, undo)
+//   GET    /api/players/:id        - one player
+//   PUT    /api/players/:id        T update a player (partial objects are merged); for testers only `tiers` is taken
+//   DELETE /api/players/:id        A delete a player
+//   GET    /api/history            - change log, oldest first (?player=<id> for one player)
+//   GET    /api/mapping            - tier -> points mapping
+//   PUT    /api/mapping            A replace the mapping
+//   GET    /api/rank-settings      - tie-break, inactivity and decay rules used for ranking (see ranking.js)
+//   PUT    /api/rank-settings      A
+//   GET    /api/published          - players, mapping and matches in the published data file format (see storage.js)
+//   GET    /api/status/:address    - Minecraft server status via Server List Ping (slp.js), mcsrvstat.us/2 shape
+//   GET    /api/queue              - tier test requests (see testing.js)
+//   POST   /api/queue              - { name, mode, note? } -> joins the queue
+//   POST   /api/queue/:id/claim    T take a waiting test
+//   POST   /api/queue/:id/release  T put a claimed test back in line (its tester or an admin)
+//   POST   /api/queue/:id/complete T { tier, score, note? } -> records the result and sets the player's tier
+//   DELETE /api/queue/:id          T cancel an open request (a claimed one only by its tester or an admin)
+//   GET    /api/matches            - match results (see rating.js)
+//   POST   /api/matches            T { a, b, scoreA, scoreB, mode, date } -> records a match
+//   DELETE /api/matches/:id        A
+//   GET    /api/webhooks           A webhook settings: hooks, message templates (see webhooks.js)
+//   PUT    /api/webhooks           A
+//   POST   /api/webhooks/test      A { hook? } -> sends a test message to that hook (default: every enabled hook)
+//   GET    /api/webhooks/log       A recent deliveries, oldest first
+//   GET    /api/users              A accounts (never includes password hashes)
+//   POST   /api/users              A { username, password, role } -> new account
+//   PUT    /api/users/:id          A { role?, password? }
+//   DELETE /api/users/:id          A
+//
+// Create the first admin with `node server/users.js add <name> admin`.
+// Changes to players and the mapping are announced to the configured webhooks, whoever makes them
+// (editor, tier tests, inactivity decay); server/webhook-receiver.js stands in for Discord when testing.
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { createStore, StoreError } = require('./store');
+const slp = require('./slp');
+const { SESSION_COOKIE, verifyPassword, parseCookies, sessionCookie, createSessions, createLoginLimiter } = require('./auth');
+const { buildPublishedData } = require('../storage.js');
+const { requireShared } = require('./shared');
+const webhooks = requireShared('webhooks.js');
+const { SERVERS } = require('../app.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const DEFAULT_DB = path.join(__dirname, 'data', 'db.json');
+const BODY_LIMIT = 5 * 1024 * 1024;
+const STATUS_CACHE_MS = 30 * 1000;
+const STATUS_CACHE_LIMIT = 100; // addresses remembered at once; the oldest are dropped first
+const DECAY_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.webmanifest': 'application/manifest+json',
+  '.md': 'text/markdown; charset=utf-8'
+};
+
+function parseArgs(argv) {
+  const opts = {
+    port: Number(process.env.PORT) || 8080,
+    host: process.env.HOST || '127.0.0.1',
+    dataFile: process.env.MCTIERS_DB || DEFAULT_DB,
+    statusHosts: splitList(process.env.MCTIERS_STATUS_HOSTS)
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const next = argv[i + 1];
+    if (argv[i] === '--port') { opts.port = Number(next); i++; }
+    else if (argv[i] === '--host') { opts.host = next; i++; }
+    else if (argv[i] === '--data') { opts.dataFile = path.resolve(next); i++; }
+    else if (argv[i] === '--status-hosts') { opts.statusHosts = splitList(next); i++; }
+  }
+  return opts;
+}
+
+function splitList(s) {
+  return String(s || '').split(',').map(x => x.trim().toLowerCase()).filter(Boolean);
+}
+
+// Pings each address at most once per STATUS_CACHE_MS, however many visitors ask; concurrent requests share one ping.
+// Only statusHosts may be pinged (the SERVERS of app.js when empty, anything with "*").
+function createStatusCache(pingServer, statusHosts) {
+  const allowed = statusHosts.length ? statusHosts : SERVERS.map(s => s.host.toLowerCase());
+  const cache = new Map(); // address -> { at, promise }, oldest first
+  return (address) => {
+    const key = String(address || '').trim().toLowerCase();
+    try {
+      slp.parseAddress(key);
+    } catch (e) {
+      throw new StoreError(400, e.message);
+    }
+    if (!allowed.includes('*') && !allowed.includes(key)) throw new StoreError(403, 'this server address is not on the status list');
+    const now = Date.now();
+    for (const [k, entry] of cache) {
+      if (now - entry.at < STATUS_CACHE_MS && cache.size < STATUS_CACHE_LIMIT) break;
+      cache.delete(k);
+    }
+    const hit = cache.get(key);
+    if (hit) return hit.promise;
+    const promise = pingServer(key);
+    cache.set(key, { at: now, promise });
+    promise.catch(() => cache.delete(key));
+    return promise;
+  };
+}
+
+function sendJSON(res, status, body) {
+  const data = body === undefined ? '' : JSON.stringify(body);
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-store');
+  res.writeHead(status);
+  res.end(data);
+}
+
+// 401 when signed out, 403 when the account's role is not enough
+function requireRole(user, role) {
+  if (!user) throw new StoreError(401, 'sign in first');
+  if (role === 'admin' && user.role !== 'admin') throw new StoreError(403, 'only admins can do this');
+  return user;
+}
+
+// Only the tester who claimed a test (or an admin) may release or complete it
+function requireClaim(request, user) {
+  if (user.role !== 'admin' && request.claimedBy && request.claimedBy !== user.username) {
+    throw new StoreError(403, `this test was claimed by ${request.claimedBy}`);
+  }
+}
+
+function readBody(req) {
+  // writes must be JSON: plain HTML forms on other sites cannot send it, which keeps the session cookie safe
+  const type = String(req.headers['content-type'] || '');
+  const hasBody = Number(req.headers['content-length']) > 0 || !!req.headers['transfer-encoding'];
+  if (hasBody && !type.startsWith('application/json')) {
+    return Promise.reject(new StoreError(415, 'send JSON (Content-Type: application/json)'));
+  }
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (c) => {
+      size += c.length;
+      if (size > BODY_LIMIT) {
+        reject(new StoreError(413, 'request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(c);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (!text) return resolve(undefined);
+      try {
+        resolve(JSON.parse(text));
+      } catch (e) {
+        reject(new StoreError(400, 'body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+async function login(store, sessions, limiter, req, res) {
+  const body = (await readBody(req)) || {};
+  const name = String(body.username || '').trim().toLowerCase();
+  if (limiter.locked(name)) throw new StoreError(429, 'too many failed sign-ins, try again later');
+  const account = store.findLogin(name);
+  if (!account || !verifyPassword(body.password || '', account.passwordHash)) {
+    limiter.fail(name);
+    throw new StoreError(401, 'wrong username or password');
+  }
+  limiter.reset(name);
+  res.setHeader('Set-Cookie', sessionCookie(sessions.create(account.id), sessions.ttlMs));
+  return store.getUser(account.id);
+}
+
+// Store change listener: turns changes into webhook events and sends them in batches, logging each delivery
+function webhookAnnouncer(store, fetchImpl) {
+  const batch = webhooks.createWebhookBatcher(async (events) => {
+    store.logWebhookDeliveries(await webhooks.deliverWebhooks(events, store.getWebhooks(), fetchImpl));
+  });
+  return (change) => {
+    if (!store.getWebhooks().hooks.some(h => h.enabled)) return;
+    batch(change.kind === 'mapping'
+      ? webhooks.mappingWebhookEvents(change.before, change.after, change.by)
+      : webhooks.playerWebhookEvents(change.before, change.after, change.by));
+  };
+}
+
+// Test message for the webhook settings: to the hook in the body (it need not be saved yet) or every enabled one
+async function testWebhooks(store, body, fetchImpl) {
+  const cfg = store.getWebhooks();
+  let hooks = cfg.hooks.filter(h => h.enabled);
+  if (body && body.hook) {
+    const check = webhooks.normalizeWebhookConfig({ hooks: [body.hook] });
+    const problems = webhooks.validateWebhookConfig(check);
+    if (problems.length) throw new StoreError(400, problems.join(', '));
+    hooks = check.hooks;
+  }
+  if (!hooks.length) throw new StoreError(400, 'no webhook to test');
+  const payload = webhooks.webhookTestPayload(cfg);
+  const entries = await Promise.all(hooks.map(h => webhooks.sendWebhook(h, payload, fetchImpl, { test: true })));
+  store.logWebhookDeliveries(entries);
+  return entries;
+}
+
+// [method, path regexp, handler(ctx) -> [status, body]]; ctx.user is the signed-in account or null
+function apiRoutes(store, sessions, serverStatus, fetchImpl) {
+  const limiter = createLoginLimiter();
+  return [
+    ['POST', /^\/api\/login$/, async ({ req, res }) => [200, await login(store, sessions, limiter, req, res)]],
+    ['POST', /^\/api\/logout$/, ({ res, token }) => {
+      sessions.destroy(token);
+      res.setHeader('Set-Cookie', sessionCookie('', 0));
+      return [204];
+    }],
+    ['GET', /^\/api\/me$/, ({ user }) => [200, requireRole(user)]],
+
+    ['GET', /^\/api\/players$/, () => [200, store.listPlayers()]],
+    ['POST', /^\/api\/players$/, async ({ req, user }) => {
+      requireRole(user, 'admin');
+      return [201, store.createPlayer(await readBody(req), user.username)];
+    }],
+    ['PUT', /^\/api\/players$/, async ({ req, user }) => {
+      requireRole(user, 'admin');
+      return [200, store.replacePlayers(await readBody(req), user.username)];
+    }],
+    ['GET', /^\/api\/players\/([^/]+)$/, ({ params }) => [200, store.getPlayer(params[0])]],
+    ['PUT', /^\/api\/players\/([^/]+)$/, async ({ req, params, user }) => {
+      requireRole(user);
+      const body = (await readBody(req)) || {};
+      if (user.role === 'admin') return [200, store.updatePlayer(params[0], body, user.username)];
+      return [200, store.updatePlayerTiers(params[0], body.tiers, user.username)];
+    }],
+    ['DELETE', /^\/api\/players\/([^/]+)$/, ({ params, user }) => {
+      requireRole(user, 'admin');
+      store.deletePlayer(params[0], user.username);
+      return [204];
+    }],
+    ['GET', /^\/api\/history$/, ({ query }) => [200, store.listHistory(query.get('player'))]],
+
+    ['GET', /^\/api\/mapping$/, () => [200, store.getMapping()]],
+    ['PUT', /^\/api\/mapping$/, async ({ req, user }) => {
+      requireRole(user, 'admin');
+      return [200, store.setMapping(await readBody(req), user.username)];
+    }],
+    ['GET', /^\/api\/rank-settings$/, () => [200, store.getRankSettings()]],
+    ['PUT', /^\/api\/rank-settings$/, async ({ req, user }) => {
+      requireRole(user, 'admin');
+      return [200, store.setRankSettings(await readBody(req))];
+    }],
+    ['GET', /^\/api\/published$/, () => [200, { ...buildPublishedData(store.listPlayers(), store.getMapping(), store.listMatches(), store.getRankSettings()), updatedAt: store.updatedAt() }]],
+    ['GET', /^\/api\/status\/([^/]+)$/, async ({ params }) => [200, await serverStatus(params[0])]],
+
+    ['GET', /^\/api\/queue$/, () => [200, store.listQueue()]],
+    ['POST', /^\/api\/queue$/, async ({ req }) => [201, store.requestTest(await readBody(req))]],
+    ['POST', /^\/api\/queue\/([^/]+)\/claim$/, ({ params, user }) => {
+      requireRole(user);
+      return [200, store.claimTest(params[0], user.username)];
+    }],
+    ['POST', /^\/api\/queue\/([^/]+)\/release$/, ({ params, user }) => {
+      requireClaim(store.getTest(params[0]), requireRole(user));
+      return [200, store.releaseTest(params[0])];
+    }],
+    ['POST', /^\/api\/queue\/([^/]+)\/complete$/, async ({ req, params, user }) => {
+      requireClaim(store.getTest(params[0]), requireRole(user));
+      return [200, store.completeTest(params[0], (await readBody(req)) || {}, user.username)];
+    }],
+    ['DELETE', /^\/api\/queue\/([^/]+)$/, ({ params, user }) => {
+      requireClaim(store.getTest(params[0]), requireRole(user));
+      return [200, store.cancelTest(params[0], user.username)];
+    }],
+
+    ['GET', /^\/api\/matches$/, () => [200, store.listMatches()]],
+    ['POST', /^\/api\/matches$/, async ({ req, user }) => {
+      requireRole(user);
+      return [201, store.recordMatch(await readBody(req), user.username)];
+    }],
+    ['DELETE', /^\/api\/matches\/([^/]+)$/, ({ params, user }) => {
+      requireRole(user, 'admin');
+      store.deleteMatch(params[0]);
+      return [204];
+    }],
+
+    ['GET', /^\/api\/webhooks$/, ({ user }) => {
+      requireRole(user, 'admin');
+      return [200, store.getWebhooks()];
+    }],
+    ['PUT', /^\/api\/webhooks$/, async ({ req, user }) => {
+      requireRole(user, 'admin');
+      return [200, store.setWebhooks(await readBody(req))];
+    }],
+    ['POST', /^\/api\/webhooks\/test$/, async ({ req, user }) => {
+      requireRole(user, 'admin');
+      return [200, await testWebhooks(store, await readBody(req), fetchImpl)];
+    }],
+    ['GET', /^\/api\/webhooks\/log$/, ({ user }) => {
+      requireRole(user, 'admin');
+      return [200, store.listWebhookLog()];
+    }],
+
+    ['GET', /^\/api\/users$/, ({ user }) => {
+      requireRole(user, 'admin');
+      return [200, store.listUsers()];
+    }],
+    ['POST', /^\/api\/users$/, async ({ req, user }) => {
+      requireRole(user, 'admin');
+      return [201, store.createUser(await readBody(req))];
+    }],
+    ['PUT', /^\/api\/users\/([^/]+)$/, async ({ req, params, user }) => {
+      requireRole(user, 'admin');
+      const body = (await readBody(req)) || {};
+      const updated = store.updateUser(params[0], body);
+      if (body.password !== undefined || body.role !== undefined) sessions.destroyForUser(params[0]);
+      return [200, updated];
+    }],
+    ['DELETE', /^\/api\/users\/([^/]+)$/, ({ params, user }) => {
+      requireRole(user, 'admin');
+      store.deleteUser(params[0]);
+      sessions.destroyForUser(params[0]);
+      return [204];
+    }]
+  ];
+}
+
+async function handleApi(store, sessions, routes, req, res, url) {
+  const pathname = url.pathname;
+  const candidates = routes.filter(r => r[1].test(pathname));
+  if (!candidates.length) return sendJSON(res, 404, { error: 'not found' });
+  const route = candidates.find(r => r[0] === req.method);
+  if (!route) return sendJSON(res, 405, { error: 'method not allowed' });
+  let params;
+  try {
+    params = pathname.match(route[1]).slice(1).map(decodeURIComponent);
+  } catch (e) {
+    return sendJSON(res, 400, { error: 'bad path' });
+  }
+  const token = parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+  const session = sessions.get(token);
+  const user = session ? store.getUser(session.userId) : null;
+  try {
+    const [status, body] = await route[2]({ req, res, params, query: url.searchParams, token, user });
+    sendJSON(res, status, body);
+  } catch (err) {
+    if (err instanceof StoreError) return sendJSON(res, err.status, { error: err.message });
+    console.error('server: unexpected error', err);
+    sendJSON(res, 500, { error: 'internal error' });
+  }
+}
+
+function serveStatic(req, res, pathname, root) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') return sendJSON(res, 405, { error: 'method not allowed' });
+  let rel;
+  try {
+    rel = decodeURIComponent(pathname);
+  } catch (e) {
+    return sendJSON(res, 400, { error: 'bad path' });
+  }
+  if (rel.endsWith('/')) rel += 'index.html';
+  const file = path.resolve(root, '.' + rel);
+  const relToRoot = path.relative(root, file);
+  // never serve files outside the site, the server itself (database included) or dotfiles
+  const blocked = relToRoot.startsWith('..') || path.isAbsolute(relToRoot) ||
+    relToRoot.split(path.sep)[0] === 'server' || relToRoot.split(path.sep).some(s => s.startsWith('.'));
+  if (blocked) return sendJSON(res, 404, { error: 'not found' });
+  fs.stat(file, (err, st) => {
+    if (err || !st.isFile()) return sendJSON(res, 404, { error: 'not found' });
+    res.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+      'Content-Length': st.size,
+      'Cache-Control': 'no-cache'
+    });
+    if (req.method === 'HEAD') return res.end();
+    fs.createReadStream(file).pipe(res);
+  });
+}
+
+// Request handler for the API and the static site; exported so it can be mounted or tested on its own
+// pingServer can be replaced (e.g. to point /api/status at a fake Minecraft server), and fetchImpl is what
+// webhook messages are sent with
+function createApp({ store, root = ROOT, sessions = createSessions(), pingServer = slp.pingServer, statusHosts = [], fetchImpl = globalThis.fetch }) {
+  const routes = apiRoutes(store, sessions, createStatusCache(pingServer, statusHosts), fetchImpl);
+  store.subscribe(webhookAnnouncer(store, fetchImpl));
+  return (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname === '/api' || url.pathname.startsWith('/api/')) return handleApi(store, sessions, routes, req, res, url);
+    serveStatic(req, res, url.pathname, root);
+  };
+}
+
+function start(opts = {}) {
+  const o = { ...parseArgs([]), ...opts };
+  const store = createStore(o.dataFile);
+  const server = http.createServer(createApp({ store, statusHosts: o.statusHosts }));
+  server.listen(o.port, o.host, () => {
+    console.log(`LightTiers server on http://${o.host}:${server.address().port} (data: ${o.dataFile})`);
+    if (!store.listUsers().length) console.log('No accounts yet: create an admin with `node server/users.js add <name> admin`.');
+  });
+  // inactivity decay is applied when it falls due, not only when someone edits
+  const decay = () => {
+    const n = store.runDecay();
+    if (n) console.log(`Inactivity decay lowered ${n} player(s).`);
+  };
+  decay();
+  setInterval(decay, DECAY_INTERVAL_MS).unref();
+  return server;
+}
+
+if (require.main === module) start(parseArgs(process.argv.slice(2)));
+
+module.exports = { createApp, start, parseArgs };
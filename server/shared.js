@@ -0,0 +1,30 @@
+// Loads the browser scripts the server shares with the site (ranking.js, history.js, testing.js, ...).
+// - On a page those scripts read storage.js's names (TIER_ORDER, GAMEMODES, makeId, ...) as globals
+// - Here every storage.js export is passed in as a local binding of the script instead, so nothing is put on
+//   the server's globals; the script hands back what its `module.exports` footer exports
+// - Scripts are loaded once and cached by file name, like require()
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createRequire } = require('module');
+const storage = require('../storage.js');
+
+const SITE_ROOT = path.resolve(__dirname, '..');
+const loaded = new Map(); // file -> exports
+
+// name: file in the site root, e.g. "ranking.js"
+function requireShared(name) {
+  const file = path.join(SITE_ROOT, name);
+  if (loaded.has(file)) return loaded.get(file);
+  const names = Object.keys(storage);
+  const run = vm.compileFunction(fs.readFileSync(file, 'utf8'), ['module', 'exports', 'require', ...names], { filename: file });
+  const module = { exports: {} };
+  run(module, module.exports, createRequire(file), ...names.map(k => storage[k]));
+  loaded.set(file, module.exports);
+  return module.exports;
+}
+
+module.exports = { requireShared };
@@ -0,0 +1,295 @@
+// Minecraft Server List Ping for the LightTiers server (GET /api/status/:address).
+// - Modern ping (1.7+): handshake (next state 1), status request, JSON status response, then ping/pong for latency.
+//   Packets are framed as VarInt length + VarInt packet id + payload.
+// - Addresses without a port look up the "_minecraft._tcp.<host>" SRV record first, like the game client does
+// - Falls back to the legacy ping (0xFE 0x01, answered by 0xFF + UTF-16BE string) for servers older than 1.7
+// - statusFromPing() returns the same shape as api.mcsrvstat.us/2, which the home page (app.js) already reads
+// Everything that touches the network (connect, resolveSrv) can be passed in, so it runs against a fake local server.
+
+'use strict';
+
+const net = require('net');
+const dns = require('dns');
+
+const DEFAULT_PORT = 25565;
+const DEFAULT_TIMEOUT_MS = 5000;
+const PROTOCOL_VERSION = -1; // "any": servers answer the status request for unknown versions
+const MAX_PACKET = 1024 * 1024;
+
+/* ---------------------- framing ---------------------- */
+
+function writeVarInt(value) {
+  const bytes = [];
+  let v = value >>> 0; // negative numbers are sent as their 32-bit two's complement
+  do {
+    let b = v & 0x7f;
+    v >>>= 7;
+    if (v !== 0) b |= 0x80;
+    bytes.push(b);
+  } while (v !== 0);
+  return Buffer.from(bytes);
+}
+
+// { value, size } or null when `buf` ends before the VarInt does
+function readVarInt(buf, offset = 0) {
+  let value = 0;
+  for (let i = 0; i < 5; i++) {
+    if (offset + i >= buf.length) return null;
+    const b = buf[offset + i];
+    value |= (b & 0x7f) << (7 * i);
+    if (!(b & 0x80)) return { value: value | 0, size: i + 1 };
+  }
+  throw new Error('VarInt is longer than 5 bytes');
+}
+
+function writeString(s) {
+  const data = Buffer.from(String(s), 'utf8');
+  return Buffer.concat([writeVarInt(data.length), data]);
+}
+
+function packet(id, ...fields) {
+  const body = Buffer.concat([writeVarInt(id), ...fields]);
+  return Buffer.concat([writeVarInt(body.length), body]);
+}
+
+function handshakePacket(host, port) {
+  const portBuf = Buffer.alloc(2);
+  portBuf.writeUInt16BE(port);
+  return packet(0x00, writeVarInt(PROTOCOL_VERSION), writeString(host), portBuf, writeVarInt(1));
+}
+
+// Splits complete packets off the front of `buf`: { packets: [{ id, data }], rest }
+function readPackets(buf) {
+  const packets = [];
+  let offset = 0;
+  while (true) {
+    const len = readVarInt(buf, offset);
+    if (!len) break;
+    if (len.value < 0 || len.value > MAX_PACKET) throw new Error(`bad packet length ${len.value}`);
+    if (offset + len.size + len.value > buf.length) break;
+    const start = offset + len.size;
+    const id = readVarInt(buf, start);
+    if (!id) throw new Error('packet without id');
+    packets.push({ id: id.value, data: buf.subarray(start + id.size, start + len.value) });
+    offset = start + len.value;
+  }
+  return { packets, rest: buf.subarray(offset) };
+}
+
+/* ---------------------- address & SRV ---------------------- */
+
+// "host", "host:port" or "[ipv6]:port"
+function parseAddress(address) {
+  const s = String(address || '').trim();
+  const m = s.match(/^\[([^\]]+)\](?::(\d+))?$/) || s.match(/^([^:]+)(?::(\d+))?$/);
+  if (!m) throw new Error(`bad server address "${s}"`);
+  const port = m[2] ? Number(m[2]) : DEFAULT_PORT;
+  if (!(port > 0 && port < 65536)) throw new Error(`bad port in "${s}"`);
+  return { host: m[1].toLowerCase(), port, explicitPort: !!m[2] };
+}
+
+// Where the game client would connect: the SRV target when there is one, else host:port
+async function resolveTarget(address, { resolveSrv = dns.promises.resolveSrv } = {}) {
+  const parsed = parseAddress(address);
+  if (parsed.explicitPort || net.isIP(parsed.host)) return { ...parsed, srv: false };
+  try {
+    const records = await resolveSrv(`_minecraft._tcp.${parsed.host}`);
+    if (records && records.length) {
+      const best = records.slice().sort((a, b) => a.priority - b.priority || b.weight - a.weight)[0];
+      return { host: best.name.replace(/\.$/, ''), port: best.port, explicitPort: true, srv: true, hostname: parsed.host };
+    }
+  } catch (e) {
+    // no SRV record: connect to the host itself
+  }
+  return { ...parsed, srv: false };
+}
+
+/* ---------------------- pings ---------------------- */
+
+function openSocket(host, port, timeoutMs, connect) {
+  const socket = connect({ host, port });
+  socket.setTimeout(timeoutMs);
+  return socket;
+}
+
+// Resolves with { status (parsed JSON), latency } or rejects on error, timeout or a malformed answer
+function modernPing(host, port, { timeoutMs = DEFAULT_TIMEOUT_MS, connect = net.connect, hostname = host } = {}) {
+  return new Promise((resolve, reject) => {
+    const socket = openSocket(host, port, timeoutMs, connect);
+    let buf = Buffer.alloc(0);
+    let status = null;
+    let pingSent = 0;
+    let done = false;
+    const finish = (err, value) => {
+      if (done) return;
+      done = true;
+      socket.destroy();
+      if (err) reject(err);
+      else resolve(value);
+    };
+    socket.on('connect', () => {
+      socket.write(Buffer.concat([handshakePacket(hostname, port), packet(0x00)]));
+    });
+    socket.on('data', (chunk) => {
+      buf = Buffer.concat([buf, chunk]);
+      let parsed;
+      try {
+        parsed = readPackets(buf);
+      } catch (e) {
+        return finish(e);
+      }
+      buf = parsed.rest;
+      for (const p of parsed.packets) {
+        if (p.id === 0x00 && !status) {
+          try {
+            const len = readVarInt(p.data, 0);
+            status = JSON.parse(p.data.subarray(len.size, len.size + len.value).toString('utf8'));
+          } catch (e) {
+            return finish(new Error('malformed status response'));
+          }
+          pingSent = Date.now();
+          const payload = Buffer.alloc(8);
+          payload.writeBigInt64BE(BigInt(pingSent));
+          socket.write(packet(0x01, payload));
+        } else if (p.id === 0x01 && status) {
+          return finish(null, { status, latency: Date.now() - pingSent });
+        }
+      }
+    });
+    socket.on('timeout', () => {
+      // some servers never answer the ping packet; the status alone is enough
+      if (status) finish(null, { status, latency: null });
+      else finish(new Error('timed out'));
+    });
+    socket.on('error', (err) => finish(err));
+    socket.on('close', () => {
+      if (status) finish(null, { status, latency: null });
+      else finish(new Error('connection closed before a status response'));
+    });
+  });
+}
+
+// Pre-1.7 servers: { version, protocol, motd, online, max }
+function legacyPing(host, port, { timeoutMs = DEFAULT_TIMEOUT_MS, connect = net.connect } = {}) {
+  return new Promise((resolve, reject) => {
+    const socket = openSocket(host, port, timeoutMs, connect);
+    let buf = Buffer.alloc(0);
+    let done = false;
+    const finish = (err, value) => {
+      if (done) return;
+      done = true;
+      socket.destroy();
+      if (err) reject(err);
+      else resolve(value);
+    };
+    socket.on('connect', () => socket.write(Buffer.from([0xfe, 0x01])));
+    socket.on('data', (chunk) => {
+      buf = Buffer.concat([buf, chunk]);
+      if (buf[0] !== 0xff) return finish(new Error('not a legacy ping response'));
+      if (buf.length < 3) return;
+      const chars = buf.readUInt16BE(1);
+      if (buf.length < 3 + chars * 2) return;
+      // UTF-16BE -> swap to the UTF-16LE Node can decode
+      const be = Buffer.from(buf.subarray(3, 3 + chars * 2));
+      const text = be.swap16().toString('utf16le');
+      if (text.startsWith('§1\u0000')) {
+        const [, protocol, version, motd, online, max] = text.split('\u0000');
+        finish(null, { protocol: Number(protocol), version, motd, online: Number(online), max: Number(max) });
+      } else {
+        // beta 1.8 - 1.3: "motd§online§max"
+        const parts = text.split('§');
+        const max = Number(parts.pop());
+        const online = Number(parts.pop());
+        finish(null, { protocol: null, version: null, motd: parts.join('§'), online, max });
+      }
+    });
+    socket.on('timeout', () => finish(new Error('timed out')));
+    socket.on('error', (err) => finish(err));
+    socket.on('close', () => finish(new Error('connection closed before a legacy response')));
+  });
+}
+
+/* ---------------------- mcsrvstat-shaped result ---------------------- */
+
+// Chat component (1.7+ description) -> legacy "§" formatted text; hex colours use the "§x§R§R§G§G§B§B" form
+const CHAT_COLORS = {
+  black: '0', dark_blue: '1', dark_green: '2', dark_aqua: '3', dark_red: '4', dark_purple: '5', gold: '6', gray: '7',
+  dark_gray: '8', blue: '9', green: 'a', aqua: 'b', red: 'c', light_purple: 'd', yellow: 'e', white: 'f'
+};
+const CHAT_STYLES = { obfuscated: 'k', bold: 'l', strikethrough: 'm', underlined: 'n', italic: 'o' };
+
+function chatToLegacy(component, inherited = {}) {
+  if (component === null || component === undefined) return '';
+  if (typeof component === 'string' || typeof component === 'number') return String(component);
+  if (Array.isArray(component)) return component.map(c => chatToLegacy(c, inherited)).join('');
+  const style = { ...inherited };
+  if (component.color) style.color = component.color;
+  Object.keys(CHAT_STYLES).forEach(k => { if (component[k] !== undefined) style[k] = !!component[k]; });
+  // a child that turns a parent's style off needs a reset first; colours and styles are then applied again
+  let codes = Object.keys(CHAT_STYLES).some(k => inherited[k] && !style[k]) ? '§r' : '';
+  if (CHAT_COLORS[style.color]) codes += '§' + CHAT_COLORS[style.color];
+  else if (/^#[0-9a-f]{6}$/i.test(style.color || '')) codes += '§x' + style.color.slice(1).split('').map(c => '§' + c).join('');
+  Object.keys(CHAT_STYLES).forEach(k => { if (style[k]) codes += '§' + CHAT_STYLES[k]; });
+  const text = (component.text !== undefined ? String(component.text) : '') + (component.translate ? String(component.translate) : '');
+  const own = text ? codes + text : '';
+  const extra = (component.extra || []).map(c => chatToLegacy(c, style)).join('');
+  return own + extra;
+}
+
+// Colour and format codes, including the "§x§R§R§G§G§B§B" form of hex colours
+function stripCodes(s) {
+  return String(s).replace(/§[0-9a-fk-orx]/gi, '');
+}
+
+function motdLines(raw) {
+  const lines = String(raw || '').split('\n');
+  return { raw: lines, clean: lines.map(l => stripCodes(l).trim()) };
+}
+
+function statusFromPing(target, result) {
+  const base = { ip: target.host, port: target.port, hostname: target.hostname || target.host, debug: { ping: false, query: false, srv: !!target.srv, legacy: false } };
+  if (!result) return { ...base, online: false };
+  if (result.legacy) {
+    const r = result.legacy;
+    return {
+      ...base, online: true, debug: { ...base.debug, ping: true, legacy: true },
+      version: r.version || undefined, protocol: r.protocol || undefined,
+      motd: motdLines(r.motd), players: { online: r.online, max: r.max }
+    };
+  }
+  const s = result.status || {};
+  const players = s.players || {};
+  const out = {
+    ...base, online: true, debug: { ...base.debug, ping: true },
+    version: s.version && s.version.name, protocol: s.version && s.version.protocol,
+    motd: motdLines(chatToLegacy(s.description)),
+    players: { online: Number(players.online) || 0, max: Number(players.max) || 0 }
+  };
+  // the chat component itself, for clients that render it (app.js); mcsrvstat has no such field
+  if (s.description && typeof s.description === 'object') out.motd.json = s.description;
+  if (Array.isArray(players.sample) && players.sample.length) {
+    out.players.list = players.sample.map(p => String(p.name || '')).filter(Boolean);
+  }
+  if (typeof s.favicon === 'string' && s.favicon.startsWith('data:image/')) out.icon = s.favicon;
+  if (result.latency !== null && result.latency !== undefined) out.debug.latency = result.latency;
+  return out;
+}
+
+// Full check of one address: SRV lookup, modern ping, legacy fallback. Never rejects for an unreachable server.
+async function pingServer(address, opts = {}) {
+  const target = await resolveTarget(address, opts);
+  try {
+    return statusFromPing(target, await modernPing(target.host, target.port, { ...opts, hostname: target.hostname || target.host }));
+  } catch (modernErr) {
+    try {
+      return statusFromPing(target, { legacy: await legacyPing(target.host, target.port, opts) });
+    } catch (legacyErr) {
+      return { ...statusFromPing(target, null), error: modernErr.message };
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_PORT, writeVarInt, readVarInt, writeString, packet, readPackets, parseAddress, resolveTarget,
+  modernPing, legacyPing, chatToLegacy, stripCodes, statusFromPing, pingServer
+};
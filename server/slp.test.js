@@ -0,0 +1,129 @@
+// Tests for slp.js against a fake Minecraft server: `node --test server/slp.test.js`
+// connect() hands the ping code a scripted socket and resolveSrv() a fixed SRV answer, so nothing touches the network.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const slp = require('./slp');
+
+// A socket that answers every write with respond(bytes written, write count); an empty answer closes it
+function fakeSocket(respond) {
+  const socket = new EventEmitter();
+  let writes = 0;
+  socket.setTimeout = () => {};
+  socket.destroy = () => { socket.destroyed = true; };
+  socket.write = (buf) => {
+    const answer = respond(buf, ++writes);
+    setImmediate(() => {
+      if (socket.destroyed) return;
+      if (answer && answer.length) socket.emit('data', answer);
+      else socket.emit('close');
+    });
+  };
+  setImmediate(() => socket.emit('connect'));
+  return socket;
+}
+
+// 1.7+ server: status response to the request, pong to the ping
+function modernServer(status) {
+  return (buf, n) => {
+    if (n === 1) return slp.packet(0x00, slp.writeString(JSON.stringify(status)));
+    return slp.packet(0x01, buf.subarray(2));
+  };
+}
+
+// Pre-1.7 server: drops modern handshakes and answers 0xFE 0x01 with 0xFF + UTF-16BE text
+function legacyServer(text) {
+  return (buf) => {
+    if (buf[0] !== 0xfe) return null;
+    const body = Buffer.from(text, 'utf16le').swap16();
+    const head = Buffer.alloc(3);
+    head[0] = 0xff;
+    head.writeUInt16BE(text.length, 1);
+    return Buffer.concat([head, body]);
+  };
+}
+
+const noSrv = async () => { throw new Error('ENOTFOUND'); };
+
+test('modern ping follows the SRV record and reads status, players, MOTD and icon', async () => {
+  const connections = [];
+  const connect = ({ host, port }) => {
+    connections.push(`${host}:${port}`);
+    return fakeSocket(modernServer({
+      version: { name: '1.21.1', protocol: 767 },
+      players: { online: 5, max: 100, sample: [{ name: 'Steve', id: '0' }] },
+      description: { text: 'Light', color: 'gold', extra: [{ text: 'Tiers', color: '#00ff00' }] },
+      favicon: 'data:image/png;base64,AAAA'
+    }));
+  };
+  const resolveSrv = async (name) => {
+    assert.strictEqual(name, '_minecraft._tcp.play.example.com');
+    return [{ name: 'mc.example.com.', port: 25570, priority: 0, weight: 5 }];
+  };
+  const status = await slp.pingServer('play.example.com', { connect, resolveSrv });
+  assert.deepStrictEqual(connections, ['mc.example.com:25570']);
+  assert.strictEqual(status.online, true);
+  assert.strictEqual(status.hostname, 'play.example.com');
+  assert.strictEqual(status.debug.srv, true);
+  assert.strictEqual(status.debug.legacy, false);
+  assert.strictEqual(typeof status.debug.latency, 'number');
+  assert.strictEqual(status.version, '1.21.1');
+  assert.strictEqual(status.protocol, 767);
+  assert.deepStrictEqual(status.players, { online: 5, max: 100, list: ['Steve'] });
+  assert.deepStrictEqual(status.motd.clean, ['LightTiers']);
+  assert.strictEqual(status.motd.raw[0], '§6Light§x§0§0§f§f§0§0Tiers');
+  assert.strictEqual(status.icon, 'data:image/png;base64,AAAA');
+});
+
+test('modern handshake carries the host and explicit port without an SRV lookup', async () => {
+  let handshake = null;
+  const connect = () => fakeSocket((buf, n) => {
+    if (n === 1) handshake = buf;
+    return modernServer({ description: 'Hi', players: { online: 0, max: 10 } })(buf, n);
+  });
+  const resolveSrv = async () => { throw new Error('SRV must not be looked up for an explicit port'); };
+  const status = await slp.pingServer('localhost:25566', { connect, resolveSrv });
+  const { packets } = slp.readPackets(handshake);
+  assert.strictEqual(packets[0].id, 0x00);
+  assert.ok(packets[0].data.includes(Buffer.from('localhost')));
+  assert.strictEqual(packets[0].data.readUInt16BE(packets[0].data.length - 3), 25566);
+  assert.strictEqual(packets[1].id, 0x00);
+  assert.strictEqual(status.port, 25566);
+  assert.deepStrictEqual(status.motd.clean, ['Hi']);
+});
+
+test('falls back to the legacy ping (1.4 - 1.6 format)', async () => {
+  const connect = () => fakeSocket(legacyServer('§1\u000078\u00001.6.4\u0000§aOld server\u00003\u000020'));
+  const status = await slp.pingServer('old.example.com', { connect, resolveSrv: noSrv });
+  assert.strictEqual(status.online, true);
+  assert.strictEqual(status.debug.legacy, true);
+  assert.strictEqual(status.version, '1.6.4');
+  assert.strictEqual(status.protocol, 78);
+  assert.deepStrictEqual(status.players, { online: 3, max: 20 });
+  assert.deepStrictEqual(status.motd.clean, ['Old server']);
+});
+
+test('falls back to the legacy ping (beta 1.8 - 1.3 format)', async () => {
+  const connect = () => fakeSocket(legacyServer('Beta server§7§16'));
+  const status = await slp.pingServer('beta.example.com', { connect, resolveSrv: noSrv });
+  assert.strictEqual(status.debug.legacy, true);
+  assert.deepStrictEqual(status.players, { online: 7, max: 16 });
+  assert.deepStrictEqual(status.motd.clean, ['Beta server']);
+});
+
+test('reports offline with the error when neither ping answers', async () => {
+  const connect = () => fakeSocket(() => null);
+  const status = await slp.pingServer('down.example.com', { connect, resolveSrv: noSrv });
+  assert.strictEqual(status.online, false);
+  assert.strictEqual(status.error, 'connection closed before a status response');
+});
+
+test('VarInts round-trip, negative values included', () => {
+  [0, 1, 127, 128, 25565, 2147483647, -1].forEach(v => {
+    assert.strictEqual(slp.readVarInt(slp.writeVarInt(v)).value, v);
+  });
+  assert.strictEqual(slp.readVarInt(Buffer.from([0x80])), null);
+});
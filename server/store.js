@@ -0,0 +1,488 @@
+// JSON file store for the LightTiers server.
+// - Keeps the whole database in memory and writes it back atomically (temp file + rename) after every change
+// - Uses the same tier ladder, validation and rank rules as the browser (../storage.js, ../ranking.js)
+// - Database layout: { schemaVersion, updatedAt, players: [...], mapping: {...}, rankSettings: {...}, users: [...],
+//   history: [...], queue: [...], matches: [...], webhooks: {...}, webhookLog: [...] } (queue: tier test requests,
+//   see ../testing.js; matches: results behind the ratings, see ../rating.js; webhooks: see ../webhooks.js)
+// - Every change to players is logged in `history` (same entry format as history.js), attributed to the account that made it
+// - subscribe(fn) hears about every saved change to players ({ kind: 'players', before, after, by }) or the mapping
+//   ({ kind: 'mapping', ... }); the server uses it for webhook announcements
+// - Inactivity decay (see ../ranking.js) runs from runDecay(); the server calls it at start and a few times a day
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {
+  TIER_ORDER, GAMEMODES, normalizeTierCode, findRegion, mappingDefault, SCHEMA_VERSION,
+  PLAYER_MIGRATIONS, migrate, makeId, validatePlayerRecord, validatePlayerList, validateMapping
+} = require('../storage.js');
+const { requireShared } = require('./shared');
+const { rankSettingsDefault, DECAY_MODES, computeRanks, applyDecay, todayIso } = requireShared('ranking.js');
+const { diffForHistory } = requireShared('history.js');
+const testing = requireShared('testing.js');
+const rating = requireShared('rating.js');
+const webhooks = requireShared('webhooks.js');
+const { ROLES, hashPassword } = require('./auth');
+
+// Thrown for requests the store refuses; `status` is the HTTP status the server should answer with
+class StoreError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'StoreError';
+    this.status = status;
+  }
+}
+
+const QUEUE_CLOSED_LIMIT = 1000;
+
+// Fields the server always derives itself
+const DERIVED_FIELDS = ['rank', 'computedRank', 'rankPinned', 'regionRank', 'tier', 'activity'];
+
+function bestTier(tiers) {
+  return Object.values(tiers).reduce((best, t) => TIER_ORDER.indexOf(t) > TIER_ORDER.indexOf(best) ? t : best, "");
+}
+
+function pointsFromTiers(tiers, mapping) {
+  return Object.values(tiers).reduce((sum, t) => sum + (Number(mapping[t]) || 0), 0);
+}
+
+// Cleans a player coming from a client. Unknown fields are kept so newer clients can add data;
+// derived fields are recomputed. Points follow the mapping when the client sends none.
+// Tier codes are upper-cased; codes that are not on the ladder are rejected.
+function sanitizePlayer(input, mapping, id) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw new StoreError(400, 'player must be an object');
+  const tiers = {};
+  const src = (input.tiers && typeof input.tiers === 'object') ? input.tiers : {};
+  GAMEMODES.forEach(m => {
+    const t = (src[m.id] ?? '').toString().trim();
+    if (!t) return;
+    const code = normalizeTierCode(t);
+    if (!code) throw new StoreError(400, `unknown tier "${t.slice(0, 16)}" for ${m.label}`);
+    tiers[m.id] = code;
+  });
+  const hasPoints = input.points !== undefined && input.points !== null && input.points !== '';
+  if (input.region && !findRegion(input.region)) throw new StoreError(400, `unknown region "${input.region}"`);
+  const p = { ...input };
+  DERIVED_FIELDS.forEach(f => delete p[f]);
+  Object.assign(p, {
+    id: String(id || input.id || makeId()),
+    name: String(input.name || '').trim(),
+    tiers,
+    tier: bestTier(tiers),
+    points: hasPoints ? Number(input.points) : pointsFromTiers(tiers, mapping)
+  });
+  if (input.region) p.region = findRegion(input.region).id;
+  if (input.country) p.country = String(input.country).trim().toUpperCase();
+  const problems = validatePlayerRecord(p);
+  if (problems.length) throw new StoreError(400, `invalid player: ${problems.join(', ')}`);
+  return p;
+}
+
+function emptyDb() {
+  return {
+    schemaVersion: SCHEMA_VERSION, updatedAt: null, players: [], mapping: { ...mappingDefault },
+    rankSettings: { ...rankSettingsDefault }, users: [], history: [], queue: [], matches: [],
+    webhooks: webhooks.normalizeWebhookConfig({}), webhookLog: []
+  };
+}
+
+function readDb(file) {
+  if (!fs.existsSync(file)) return emptyDb();
+  const db = { ...emptyDb(), ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+  // players saved by an older version go through the same migrations as the browser's (e.g. tier codes in v3)
+  const migrated = migrate({ schemaVersion: db.schemaVersion, players: Array.isArray(db.players) ? db.players : [] }, PLAYER_MIGRATIONS, 'players');
+  db.schemaVersion = SCHEMA_VERSION;
+  const checked = validatePlayerList(migrated.data.players);
+  if (checked.problems.length) {
+    // keep unreadable records next to the database instead of dropping them silently
+    const q = `${file}.quarantine-${Date.now()}.json`;
+    fs.writeFileSync(q, JSON.stringify(checked.problems, null, 2));
+    console.warn(`store: ${checked.problems.length} invalid player record(s) moved to ${q}`);
+  }
+  db.players = computeRanks(checked.players.map(p => ({ ...p, tier: bestTier(p.tiers) })), { ...rankSettingsDefault, ...db.rankSettings });
+  db.webhooks = webhooks.normalizeWebhookConfig(db.webhooks);
+  return db;
+}
+
+function createStore(file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  let db = readDb(file);
+  const listeners = [];
+  let pendingChanges = []; // reported to the listeners once persist() has saved them
+
+  // dataChanged = false for account changes, which should not move the rankings' "last updated" time
+  function persist(dataChanged = true) {
+    if (dataChanged) db.updatedAt = new Date().toISOString();
+    db.players = computeRanks(db.players, db.rankSettings);
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(db, null, 2));
+    fs.renameSync(tmp, file);
+    const changes = pendingChanges;
+    pendingChanges = [];
+    changes.forEach(c => {
+      const change = { ...c, after: c.kind === 'mapping' ? db.mapping : db.players };
+      listeners.forEach(fn => {
+        try { fn(change); } catch (err) { console.error('store: change listener failed', err); }
+      });
+    });
+  }
+
+  function findIndex(id) {
+    return db.players.findIndex(p => p.id === id);
+  }
+
+  function assertUniqueName(name, exceptId) {
+    const key = name.toLowerCase();
+    const clash = db.players.find(p => p.name.toLowerCase() === key && p.id !== exceptId);
+    if (clash) throw new StoreError(409, `a player named "${clash.name}" already exists`);
+  }
+
+  // Logs the player changes between two lists; call before persist()
+  function logChanges(before, by, note) {
+    db.history.push(...diffForHistory(before, db.players, by, note));
+    pendingChanges.push({ kind: 'players', before, by });
+  }
+
+  function publicUser(u) {
+    return { id: u.id, username: u.username, role: u.role, createdAt: u.createdAt };
+  }
+
+  function findUserIndex(id) {
+    return db.users.findIndex(u => u.id === id);
+  }
+
+  function assertKeepsAnAdmin(exceptId) {
+    if (!db.users.some(u => u.role === 'admin' && u.id !== exceptId)) throw new StoreError(409, 'at least one admin account must remain');
+  }
+
+  // Open requests stay; only the newest QUEUE_CLOSED_LIMIT finished or cancelled ones are kept
+  function pruneQueue() {
+    const closed = db.queue.filter(r => !testing.isOpenRequest(r));
+    if (closed.length <= QUEUE_CLOSED_LIMIT) return;
+    const drop = new Set(closed.slice(0, closed.length - QUEUE_CLOSED_LIMIT).map(r => r.id));
+    db.queue = db.queue.filter(r => !drop.has(r.id));
+  }
+
+  // New points get a fresh pointsSince; new tiers count as a test (lastTested) unless `tested` is false (decay)
+  function stampPoints(next, prev, { tested = true } = {}) {
+    if (!prev || prev.points !== next.points) {
+      if (!prev || next.pointsSince === prev.pointsSince || !next.pointsSince) next.pointsSince = new Date().toISOString();
+    }
+    const tiersChanged = JSON.stringify(next.tiers) !== JSON.stringify(prev ? prev.tiers : {});
+    if (tested && tiersChanged && Object.keys(next.tiers).length && (prev ? next.lastTested === prev.lastTested : !next.lastTested)) next.lastTested = todayIso();
+    return next;
+  }
+
+  return {
+    // Activity depends on today's date, so it is refreshed on every read rather than only when data changes
+    listPlayers() {
+      db.players = computeRanks(db.players, db.rankSettings);
+      return db.players;
+    },
+
+    getPlayer(id) {
+      const p = db.players[findIndex(id)];
+      if (!p) throw new StoreError(404, 'player not found');
+      return p;
+    },
+
+    // `by` is the username the change is attributed to in the history
+    createPlayer(input, by) {
+      const p = sanitizePlayer(input, db.mapping);
+      if (findIndex(p.id) !== -1) throw new StoreError(409, 'a player with this id already exists');
+      assertUniqueName(p.name);
+      const before = db.players.slice();
+      db.players.push(stampPoints(p, null));
+      logChanges(before, by);
+      persist();
+      return this.getPlayer(p.id);
+    },
+
+    updatePlayer(id, input, by) {
+      const index = findIndex(id);
+      if (index === -1) throw new StoreError(404, 'player not found');
+      const prev = db.players[index];
+      const p = sanitizePlayer({ ...prev, ...input }, db.mapping, id);
+      assertUniqueName(p.name, id);
+      const before = db.players.slice();
+      db.players[index] = stampPoints(p, prev);
+      logChanges(before, by);
+      persist();
+      return this.getPlayer(id);
+    },
+
+    // The only change a tester may make: new tiers, with points recomputed from the mapping
+    updatePlayerTiers(id, tiers, by) {
+      if (!tiers || typeof tiers !== 'object' || Array.isArray(tiers)) throw new StoreError(400, 'tiers must be an object');
+      const prev = this.getPlayer(id);
+      const next = sanitizePlayer({ ...prev, tiers }, db.mapping, id);
+      if (JSON.stringify(next.tiers) === JSON.stringify(prev.tiers)) return prev;
+      return this.updatePlayer(id, { tiers: next.tiers, points: null }, by);
+    },
+
+    deletePlayer(id, by) {
+      const index = findIndex(id);
+      if (index === -1) throw new StoreError(404, 'player not found');
+      const before = db.players.slice();
+      const [removed] = db.players.splice(index, 1);
+      logChanges(before, by);
+      persist();
+      return removed;
+    },
+
+    // Bulk replace (imports, clear, undo). All records are checked before anything changes.
+    replacePlayers(list, by) {
+      if (!Array.isArray(list)) throw new StoreError(400, 'players must be a list');
+      const before = new Map(db.players.map(p => [p.id, p]));
+      const next = list.map(input => sanitizePlayer(input, db.mapping));
+      const names = new Set();
+      const ids = new Set();
+      next.forEach(p => {
+        const key = p.name.toLowerCase();
+        if (names.has(key)) throw new StoreError(409, `duplicate name "${p.name}"`);
+        if (ids.has(p.id)) throw new StoreError(409, `duplicate id "${p.id}"`);
+        names.add(key);
+        ids.add(p.id);
+      });
+      const old = db.players;
+      db.players = next.map(p => stampPoints(p, before.get(p.id)));
+      logChanges(old, by);
+      persist();
+      return db.players;
+    },
+
+    /* ---- testing queue ---- */
+
+    listQueue() {
+      return db.queue;
+    },
+
+    requestTest(input) {
+      const problems = testing.validateTestRequest(input || {}, db.queue);
+      if (problems.length) throw new StoreError(problems.some(p => /already in|full/.test(p)) ? 409 : 400, problems.join(', '));
+      const request = testing.newTestRequest(input);
+      db.queue.push(request);
+      persist(false);
+      return request;
+    },
+
+    claimTest(id, by) {
+      const r = this.getTest(id, 'waiting');
+      Object.assign(r, { status: 'testing', claimedBy: by, claimedAt: new Date().toISOString() });
+      persist(false);
+      return r;
+    },
+
+    releaseTest(id) {
+      const r = this.getTest(id, 'testing');
+      Object.assign(r, { status: 'waiting', claimedBy: '', claimedAt: null });
+      persist(false);
+      return r;
+    },
+
+    cancelTest(id, by) {
+      const r = this.getTest(id);
+      if (!testing.isOpenRequest(r)) throw new StoreError(409, `this test is already ${r.status}`);
+      Object.assign(r, { status: 'cancelled', completedAt: new Date().toISOString(), cancelledBy: by });
+      pruneQueue();
+      persist(false);
+      return r;
+    },
+
+    // Records the result and sets the player's tier (the player is added when new)
+    completeTest(id, result, by) {
+      const r = this.getTest(id, 'testing');
+      const problems = testing.validateTestResult(result);
+      if (problems.length) throw new StoreError(400, problems.join(', '));
+      const before = db.players.slice();
+      const applied = testing.applyTestResult(db.players, r, result.tier, db.mapping);
+      const player = sanitizePlayer(applied.player, db.mapping, applied.player.id);
+      db.players = applied.players.map(p => p.id === player.id ? stampPoints(player, before.find(b => b.id === p.id)) : p);
+      Object.assign(r, {
+        status: 'done', completedAt: new Date().toISOString(), playerId: player.id,
+        result: { tier: result.tier, score: testing.normalizeScore(result.score), testedBy: by, note: String(result.note || '').trim().slice(0, 200) }
+      });
+      logChanges(before, by, `test ${r.mode} ${r.result.score}`);
+      pruneQueue();
+      persist();
+      return { request: r, player: this.getPlayer(player.id) };
+    },
+
+    /* ---- matches ---- */
+
+    listMatches() {
+      return db.matches;
+    },
+
+    recordMatch(input, by) {
+      const problems = rating.validateMatch(input || {}, db.players);
+      if (problems.length) throw new StoreError(400, problems.join(', '));
+      const match = rating.newMatch(input, by);
+      db.matches.push(match);
+      // playing a match counts as activity for both players
+      db.players = db.players.map(p => (p.id === match.a || p.id === match.b) && !(p.lastActive >= match.date) ? { ...p, lastActive: match.date } : p);
+      persist();
+      return match;
+    },
+
+    deleteMatch(id) {
+      const i = db.matches.findIndex(m => m.id === id);
+      if (i === -1) throw new StoreError(404, 'match not found');
+      db.matches.splice(i, 1);
+      persist();
+    },
+
+    // `expect`: the status the request must be in for the change the caller is about to make
+    getTest(id, expect) {
+      const r = db.queue.find(q => q.id === id);
+      if (!r) throw new StoreError(404, 'test request not found');
+      if (expect && r.status !== expect) throw new StoreError(409, `this test is ${r.status}, not ${expect}`);
+      return r;
+    },
+
+    // Oldest first; optionally only the entries of one player
+    listHistory(playerId) {
+      return playerId ? db.history.filter(e => e.playerId === playerId) : db.history;
+    },
+
+    getMapping() {
+      return db.mapping;
+    },
+
+    setMapping(mapping, by) {
+      const problems = validateMapping(mapping);
+      if (problems.length) throw new StoreError(400, problems.join(', '));
+      const unknown = Object.keys(mapping).filter(t => !TIER_ORDER.includes(t));
+      if (unknown.length) throw new StoreError(400, `unknown tier ${unknown.map(t => `"${t.slice(0, 16)}"`).join(', ')} in mapping`);
+      pendingChanges.push({ kind: 'mapping', before: db.mapping, by });
+      db.mapping = { ...mappingDefault, ...mapping };
+      persist();
+      return db.mapping;
+    },
+
+    /* ---- webhooks ---- */
+
+    getWebhooks() {
+      return db.webhooks;
+    },
+
+    setWebhooks(cfg) {
+      if (!cfg || typeof cfg !== 'object' || Array.isArray(cfg)) throw new StoreError(400, 'webhook settings must be an object');
+      const next = webhooks.normalizeWebhookConfig(cfg);
+      const problems = webhooks.validateWebhookConfig(next);
+      if (problems.length) throw new StoreError(400, problems.join(', '));
+      db.webhooks = next;
+      persist(false);
+      return db.webhooks;
+    },
+
+    // Oldest first, at most WEBHOOK_LOG_LIMIT entries
+    listWebhookLog() {
+      return db.webhookLog;
+    },
+
+    logWebhookDeliveries(entries) {
+      if (!entries.length) return;
+      db.webhookLog = db.webhookLog.concat(entries).slice(-webhooks.WEBHOOK_LOG_LIMIT);
+      persist(false);
+    },
+
+    subscribe(fn) {
+      listeners.push(fn);
+    },
+
+    getRankSettings() {
+      return db.rankSettings;
+    },
+
+    setRankSettings(settings) {
+      if (!settings || !['tier', 'earliest', 'alpha'].includes(settings.tieBreak)) throw new StoreError(400, 'tieBreak must be tier, earliest or alpha');
+      const next = { ...rankSettingsDefault, ...settings, tieBreak: settings.tieBreak, shareTies: !!settings.shareTies };
+      if (!DECAY_MODES.includes(next.decay)) throw new StoreError(400, `decay must be ${DECAY_MODES.join(', ')}`);
+      const days = ['inactiveAfterDays', 'retireAfterDays', 'decayAfterDays', 'decayEveryDays', 'decayPoints'];
+      days.forEach(f => {
+        next[f] = Number(next[f]);
+        if (!Number.isInteger(next[f]) || next[f] < 0) throw new StoreError(400, `${f} must be a whole number of 0 or more`);
+      });
+      if (next.decayEveryDays < 1) throw new StoreError(400, 'decayEveryDays must be at least 1');
+      db.rankSettings = {};
+      ['tieBreak', 'shareTies', 'decay', ...days].forEach(f => { db.rankSettings[f] = next[f]; });
+      persist();
+      this.runDecay();
+      return db.rankSettings;
+    },
+
+    // Applies the inactivity decay that is due; returns the number of players it lowered
+    runDecay(now = Date.now()) {
+      const { players, decayed } = applyDecay(db.players, db.rankSettings, db.mapping, now);
+      if (players === db.players) return 0;
+      const before = db.players;
+      const prev = new Map(before.map(p => [p.id, p]));
+      db.players = players.map(p => p === prev.get(p.id) ? p : stampPoints(p, prev.get(p.id), { tested: false }));
+      logChanges(before, 'decay', 'inactivity decay');
+      persist(decayed.length > 0);
+      return decayed.length;
+    },
+
+    listUsers() {
+      return db.users.map(publicUser);
+    },
+
+    getUser(id) {
+      const u = db.users[findUserIndex(id)];
+      return u ? publicUser(u) : null;
+    },
+
+    // Includes the password hash; only for checking a login
+    findLogin(username) {
+      const key = String(username || '').trim().toLowerCase();
+      return db.users.find(u => u.username.toLowerCase() === key) || null;
+    },
+
+    createUser({ username, password, role } = {}) {
+      const name = String(username || '').trim();
+      if (!/^[A-Za-z0-9_.-]{1,32}$/.test(name)) throw new StoreError(400, 'username must be 1-32 letters, digits, "_", "." or "-"');
+      if (!ROLES.includes(role)) throw new StoreError(400, `role must be one of ${ROLES.join(', ')}`);
+      if (String(password || '').length < 8) throw new StoreError(400, 'password must be at least 8 characters');
+      if (this.findLogin(name)) throw new StoreError(409, `an account named "${name}" already exists`);
+      const user = { id: makeId(), username: name, role, passwordHash: hashPassword(password), createdAt: new Date().toISOString() };
+      db.users.push(user);
+      persist(false);
+      return publicUser(user);
+    },
+
+    // Changes the role and/or password
+    updateUser(id, { role, password } = {}) {
+      const index = findUserIndex(id);
+      if (index === -1) throw new StoreError(404, 'account not found');
+      const user = { ...db.users[index] };
+      if (role !== undefined) {
+        if (!ROLES.includes(role)) throw new StoreError(400, `role must be one of ${ROLES.join(', ')}`);
+        if (user.role === 'admin' && role !== 'admin') assertKeepsAnAdmin(id);
+        user.role = role;
+      }
+      if (password !== undefined) {
+        if (String(password).length < 8) throw new StoreError(400, 'password must be at least 8 characters');
+        user.passwordHash = hashPassword(password);
+      }
+      db.users[index] = user;
+      persist(false);
+      return publicUser(user);
+    },
+
+    deleteUser(id) {
+      const index = findUserIndex(id);
+      if (index === -1) throw new StoreError(404, 'account not found');
+      if (db.users[index].role === 'admin') assertKeepsAnAdmin(id);
+      db.users.splice(index, 1);
+      persist(false);
+    },
+
+    updatedAt() {
+      return db.updatedAt;
+    }
+  };
+}
+
+module.exports = { createStore, sanitizePlayer, StoreError };
@@ -0,0 +1,67 @@
+// Account management from the command line (the server does not need to be running).
+//   node server/users.js list
+//   node server/users.js add <username> <tester|admin>
+//   node server/users.js passwd <username>
+//   node server/users.js role <username> <tester|admin>
+//   node server/users.js remove <username>
+// Passwords are read from the terminal, or from MCTIERS_PASSWORD for scripts. Use --data <file> for another database.
+// Restart a running server afterwards: it keeps its own copy of the database in memory.
+
+'use strict';
+
+const path = require('path');
+const readline = require('readline');
+const { createStore, StoreError } = require('./store');
+const { parseArgs } = require('./server');
+
+function askPassword(prompt) {
+  if (process.env.MCTIERS_PASSWORD) return Promise.resolve(process.env.MCTIERS_PASSWORD);
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+  // keep the typed password off the screen
+  rl._writeToOutput = (s) => { if (s.includes(prompt)) process.stdout.write(s); };
+  return new Promise(resolve => rl.question(prompt, (answer) => {
+    rl.close();
+    process.stdout.write('\n');
+    resolve(answer);
+  }));
+}
+
+function findByName(store, username) {
+  const login = store.findLogin(username);
+  if (!login) throw new StoreError(404, `no account named "${username}"`);
+  return login;
+}
+
+async function main(argv) {
+  const opts = parseArgs(argv);
+  const args = argv.filter((a, i) => !a.startsWith('--') && !(argv[i - 1] || '').startsWith('--'));
+  const [command, username, role] = args;
+  const store = createStore(path.resolve(opts.dataFile));
+
+  if (command === 'list') {
+    store.listUsers().forEach(u => console.log(`${u.username}\t${u.role}\t${u.createdAt}`));
+  } else if (command === 'add') {
+    const user = store.createUser({ username, role, password: await askPassword(`Password for ${username}: `) });
+    console.log(`Created ${user.role} account "${user.username}".`);
+  } else if (command === 'passwd') {
+    const login = findByName(store, username);
+    store.updateUser(login.id, { password: await askPassword(`New password for ${login.username}: `) });
+    console.log(`Password changed for "${login.username}".`);
+  } else if (command === 'role') {
+    const login = findByName(store, username);
+    store.updateUser(login.id, { role });
+    console.log(`"${login.username}" is now ${role}.`);
+  } else if (command === 'remove') {
+    const login = findByName(store, username);
+    store.deleteUser(login.id);
+    console.log(`Removed "${login.username}".`);
+  } else {
+    console.log('usage: node server/users.js list | add <username> <tester|admin> | passwd <username> | role <username> <tester|admin> | remove <username> [--data <file>]');
+    process.exitCode = command ? 1 : 0;
+  }
+}
+
+main(process.argv.slice(2)).catch(err => {
+  console.error(err instanceof StoreError ? `error: ${err.message}` : err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,53 @@
+// Local stand-in for a Discord webhook, for trying out announcements (../webhooks.js) without Discord.
+//   node server/webhook-receiver.js [port]      (default 9090)
+// Use http://localhost:9090/ as the webhook URL in the editor. Every message is printed with its embeds.
+// Answers 204 like Discord; a path of /status/<code> (e.g. http://localhost:9090/status/500) answers with
+// that status instead, to see failed deliveries in the log. Cross-origin requests are allowed, so the
+// editor can post to it straight from the browser in local mode.
+
+'use strict';
+
+const http = require('http');
+
+const DEFAULT_PORT = 9090;
+
+function printMessage(payload) {
+  const when = new Date().toLocaleTimeString();
+  console.log(`[${when}] ${payload.username || 'webhook'}${payload.content ? `: ${payload.content}` : ''}`);
+  (payload.embeds || []).forEach(e => {
+    console.log(`  # ${e.title || ''}${e.footer ? ` (${e.footer.text})` : ''}`);
+    String(e.description || '').split('\n').forEach(line => console.log(`    ${line}`));
+  });
+}
+
+// onMessage(payload, req) is called for every well-formed message
+function createReceiver(onMessage = printMessage) {
+  return http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    if (req.method === 'OPTIONS') return res.writeHead(204).end();
+    if (req.method !== 'POST') return res.writeHead(405).end();
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', () => {
+      let payload;
+      try {
+        payload = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      } catch (e) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ message: 'Cannot send an empty message', code: 50006 }));
+      }
+      onMessage(payload, req);
+      const forced = req.url.match(/^\/status\/(\d{3})/);
+      res.writeHead(forced ? Number(forced[1]) : 204).end();
+    });
+  });
+}
+
+if (require.main === module) {
+  const port = Number(process.argv[2]) || DEFAULT_PORT;
+  createReceiver().listen(port, '127.0.0.1', () => console.log(`Webhook receiver on http://localhost:${port}/ (Ctrl+C to stop)`));
+}
+
+module.exports = { createReceiver };
@@ -0,0 +1,105 @@
+// Tests for webhook delivery (../webhooks.js) against the local receiver: `node --test server/webhooks.test.js`
+// The receiver (webhook-receiver.js) runs on a free port and records every message instead of printing it.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { createReceiver } = require('./webhook-receiver');
+const { createStore } = require('./store');
+const { createApp } = require('./server');
+const { requireShared } = require('./shared');
+const webhooks = requireShared('webhooks.js');
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+}
+
+function close(server) {
+  return new Promise(resolve => server.close(resolve));
+}
+
+async function startReceiver() {
+  const messages = [];
+  const receiver = createReceiver((payload, req) => messages.push({ path: req.url, payload }));
+  return { receiver, messages, url: await listen(receiver) };
+}
+
+function tempStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lighttiers-webhooks-'));
+  return { store: createStore(path.join(dir, 'db.json')), cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+test('a batch goes out as one message per hook with one embed per event type', async () => {
+  const { receiver, messages, url } = await startReceiver();
+  const cfg = webhooks.normalizeWebhookConfig({
+    username: 'Tiers bot',
+    hooks: [
+      { name: 'all', url: `${url}/` },
+      { name: 'promotions', url: `${url}/promotions`, events: ['promotion'] },
+      { name: 'broken', url: `${url}/status/500` },
+      { name: 'off', url: `${url}/off`, enabled: false }
+    ]
+  });
+  const events = [
+    { type: 'promotion', name: 'Alpha', mode: 'Sword', from: 'LT3', to: 'HT3', by: 'tess' },
+    { type: 'promotion', name: 'Bravo', mode: 'Axe', from: 'LT2', to: 'HT2', by: 'tess' },
+    { type: 'new-player', name: 'Charlie', tiers: 'Sword LT5', points: 10, by: 'tess' }
+  ];
+  try {
+    const log = await webhooks.deliverWebhooks(events, cfg, fetch);
+    assert.deepStrictEqual(log.map(e => [e.hook, e.ok, e.status, e.count]), [
+      ['all', true, 204, 3], ['promotions', true, 204, 2], ['broken', false, 500, 3]
+    ]);
+    assert.strictEqual(log[2].error, 'HTTP 500');
+
+    const all = messages.find(m => m.path === '/').payload;
+    assert.strictEqual(all.username, 'Tiers bot');
+    assert.deepStrictEqual(all.embeds.map(e => e.title), ['Promotions (2)', 'New players']);
+    assert.strictEqual(all.embeds[0].description, '⬆️ **Alpha** LT3 → **HT3** in Sword\n⬆️ **Bravo** LT2 → **HT2** in Axe');
+    assert.deepStrictEqual(all.embeds[0].footer, { text: 'by tess' });
+    const promotions = messages.find(m => m.path === '/promotions').payload;
+    assert.deepStrictEqual(promotions.embeds.map(e => e.title), ['Promotions (2)']);
+    assert.ok(!messages.some(m => m.path === '/off'));
+  } finally {
+    await close(receiver);
+  }
+});
+
+test('the server announces saved changes once per batch and keeps a delivery log', async () => {
+  const { receiver, messages, url } = await startReceiver();
+  const { store, cleanup } = tempStore();
+  const app = http.createServer(createApp({ store, fetchImpl: fetch }));
+  const base = await listen(app);
+  try {
+    store.createUser({ username: 'admin', password: 'correct horse', role: 'admin' });
+    const login = await fetch(`${base}/api/login`, {
+      method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ username: 'admin', password: 'correct horse' })
+    });
+    const cookie = login.headers.get('set-cookie').split(';')[0];
+    const put = (body) => fetch(`${base}/api/webhooks`, { method: 'PUT', headers: { 'Content-Type': 'application/json', cookie }, body });
+
+    assert.strictEqual((await put('null')).status, 400);
+    assert.strictEqual((await put(JSON.stringify({ hooks: [{ name: 'local', url: `${url}/` }] }))).status, 200);
+    assert.strictEqual((await put('[]')).status, 400);
+    assert.strictEqual(store.getWebhooks().hooks.length, 1);
+
+    const p = store.createPlayer({ name: 'Delta', tiers: { sword: 'LT4' } }, 'admin');
+    store.updatePlayerTiers(p.id, { sword: 'HT4' }, 'admin');
+    await new Promise(resolve => setTimeout(resolve, webhooks.WEBHOOK_BATCH_MS + 500));
+
+    assert.strictEqual(messages.length, 1);
+    assert.deepStrictEqual(messages[0].payload.embeds.map(e => e.title), ['Promotions', 'New players']);
+    assert.match(messages[0].payload.embeds[0].description, /\*\*Delta\*\* LT4 → \*\*HT4\*\*/);
+    const log = store.listWebhookLog();
+    assert.deepStrictEqual(log.map(e => [e.hook, e.ok, e.count]), [['local', true, 2]]);
+  } finally {
+    await close(app);
+    await close(receiver);
+    cleanup();
+  }
+});
@@ -0,0 +1,223 @@
+// Statistics page (stats.html).
+// - Built from the same stored players, mapping and history log as the editor (storage.js, history.js)
+// - Tier distribution (best tier, or one gamemode), points distribution, top movers over the last
+//   MOVERS_DAYS days, new players per week and the average tier per gamemode
+// - Charts are plain SVG strings drawn here (no chart library, nothing loaded from a CDN)
+// - Redraws when the editor saves (BroadcastChannel, storage events, same-tab custom events)
+
+const MOVERS_DAYS = 30;
+const MOVERS_SHOWN = 5;        // biggest gains and biggest losses each
+const WEEKS_SHOWN = 12;
+const POINTS_BINS = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let players = [];
+let tierMapping = {};
+let history = [];
+
+const bc = (typeof window !== 'undefined' && 'BroadcastChannel' in window) ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+function $(id) { return document.getElementById(id); }
+function escapeHtml(s) {
+  if (s === null || s === undefined) return '';
+  return String(s).replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;");
+}
+
+function loadStats() {
+  players = readPlayersStore({ readOnly: true }).players;
+  tierMapping = readMappingStore({ readOnly: true }).mapping;
+  history = loadHistory();
+}
+
+/* ---------------------- charts (SVG) ---------------------- */
+
+// Vertical bars: [{ label, value, title? }]; labels under the bars, values above them
+function barChartSvg(bars, { width = 560, height = 200, ariaLabel = "" } = {}) {
+  if (!bars.length) return '<p class="muted small">No data yet.</p>';
+  const top = 16;
+  const bottom = 22;
+  const max = Math.max(1, ...bars.map(b => b.value));
+  const slot = width / bars.length;
+  const barW = Math.max(2, slot * 0.7);
+  const plotH = height - top - bottom;
+  const items = bars.map((b, i) => {
+    const h = (b.value / max) * plotH;
+    const x = i * slot + (slot - barW) / 2;
+    const y = top + plotH - h;
+    const cx = (i * slot + slot / 2).toFixed(1);
+    return `<g><title>${escapeHtml(b.title || `${b.label}: ${b.value}`)}</title>` +
+      `<rect x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${barW.toFixed(1)}" height="${h.toFixed(1)}" rx="2" />` +
+      `<text x="${cx}" y="${(y - 4).toFixed(1)}" text-anchor="middle">${escapeHtml(b.value)}</text>` +
+      `<text x="${cx}" y="${height - 6}" text-anchor="middle">${escapeHtml(b.label)}</text></g>`;
+  }).join('');
+  return `<svg class="chart" viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="${escapeHtml(ariaLabel)}">${items}</svg>`;
+}
+
+// Horizontal bars that may be negative: [{ label, value, text?, title? }], zero line in the middle when needed
+function hBarChartSvg(bars, { width = 560, rowH = 22, labelW = 140, max, ariaLabel = "" } = {}) {
+  if (!bars.length) return '<p class="muted small">No data yet.</p>';
+  const height = bars.length * rowH + 4;
+  const valueW = 56;
+  const plotW = width - labelW - valueW;
+  const hasNeg = bars.some(b => b.value < 0);
+  const scaleMax = max || Math.max(1, ...bars.map(b => Math.abs(b.value)));
+  const zero = labelW + (hasNeg ? plotW / 2 : 0);
+  const span = hasNeg ? plotW / 2 : plotW;
+  const items = bars.map((b, i) => {
+    const w = (Math.abs(b.value) / scaleMax) * span;
+    const x = b.value < 0 ? zero - w : zero;
+    const y = i * rowH + 3;
+    return `<g><title>${escapeHtml(b.title || `${b.label}: ${b.value}`)}</title>` +
+      `<text x="${labelW - 6}" y="${y + rowH / 2 + 1}" text-anchor="end">${escapeHtml(b.label)}</text>` +
+      `<rect class="${b.value < 0 ? 'neg' : ''}" x="${x.toFixed(1)}" y="${y}" width="${w.toFixed(1)}" height="${rowH - 8}" rx="2" />` +
+      `<text x="${width - valueW + 6}" y="${y + rowH / 2 + 1}">${escapeHtml(b.text ?? b.value)}</text></g>`;
+  }).join('');
+  const axis = hasNeg ? `<line x1="${zero}" y1="0" x2="${zero}" y2="${height}" />` : '';
+  return `<svg class="chart" viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="${escapeHtml(ariaLabel)}">${axis}${items}</svg>`;
+}
+
+/* ---------------------- figures ---------------------- */
+
+// Players per tier: their best tier, or their tier in `mode`
+function tierDistribution(mode) {
+  return TIER_ORDER.map(t => {
+    const value = players.filter(p => (mode ? (p.tiers || {})[mode] : p.tier) === t).length;
+    return { label: t, value, title: `${t} (${tierMapping[t] ?? '—'} pts): ${value} player(s)` };
+  });
+}
+
+// POINTS_BINS equal-width bins from 0 to the highest score
+function pointsDistribution() {
+  if (!players.length) return [];
+  const max = Math.max(1, ...players.map(p => Number(p.points) || 0));
+  const width = Math.ceil((max + 1) / POINTS_BINS);
+  return Array.from({ length: POINTS_BINS }, (_, i) => {
+    const lo = i * width;
+    const hi = lo + width - 1;
+    return {
+      label: String(lo),
+      value: players.filter(p => (Number(p.points) || 0) >= lo && (Number(p.points) || 0) <= hi).length,
+      title: `${lo}–${hi} points`
+    };
+  });
+}
+
+// Net points change per current player over the last MOVERS_DAYS days (history.js entries)
+function topMovers(now = Date.now()) {
+  const since = new Date(now - MOVERS_DAYS * DAY_MS).toISOString();
+  const byId = new Map(players.map(p => [p.id, p]));
+  const delta = new Map();
+  history.forEach(e => {
+    if (e.at < since || !byId.has(e.playerId)) return;
+    const d = (Number(e.toPoints) || 0) - (Number(e.fromPoints) || 0);
+    if (d) delta.set(e.playerId, (delta.get(e.playerId) || 0) + d);
+  });
+  const rows = Array.from(delta, ([id, value]) => ({ label: byId.get(id).name, value, text: value > 0 ? `+${value}` : String(value) }));
+  const up = rows.filter(r => r.value > 0).sort((a, b) => b.value - a.value).slice(0, MOVERS_SHOWN);
+  const down = rows.filter(r => r.value < 0).sort((a, b) => a.value - b.value).slice(0, MOVERS_SHOWN);
+  return up.concat(down.reverse());
+}
+
+// Monday 00:00 (local time) of the week containing `d`
+function weekStart(d) {
+  const x = new Date(d);
+  x.setHours(0, 0, 0, 0);
+  x.setDate(x.getDate() - ((x.getDay() + 6) % 7));
+  return x;
+}
+
+// Players added to the list per week ("added" history entries), oldest week first
+function newPlayersPerWeek(now = Date.now()) {
+  const first = weekStart(now);
+  first.setDate(first.getDate() - 7 * (WEEKS_SHOWN - 1));
+  const weeks = Array.from({ length: WEEKS_SHOWN }, (_, i) => {
+    const start = new Date(first);
+    start.setDate(first.getDate() + 7 * i);
+    return { start, value: 0 };
+  });
+  history.forEach(e => {
+    if (e.type !== 'added') return;
+    const t = weekStart(e.at).getTime();
+    const w = weeks.find(x => x.start.getTime() === t);
+    if (w) w.value++;
+  });
+  return weeks.map(w => ({
+    label: `${w.start.getDate()}/${w.start.getMonth() + 1}`,
+    value: w.value,
+    title: `Week of ${w.start.toLocaleDateString()}: ${w.value} new player(s)`
+  }));
+}
+
+// Mean ladder position of the players tiered in each gamemode (1 = LT5 ... 10 = HT1)
+function averageTierPerMode() {
+  return GAMEMODES.map(m => {
+    const idx = players.map(p => TIER_ORDER.indexOf((p.tiers || {})[m.id])).filter(i => i !== -1);
+    if (!idx.length) return null;
+    const avg = idx.reduce((a, b) => a + b, 0) / idx.length;
+    const nearest = TIER_ORDER[Math.round(avg)];
+    return {
+      label: m.label,
+      value: avg + 1,
+      text: nearest,
+      title: `${m.label}: average ${nearest} (${(avg + 1).toFixed(1)} of ${TIER_ORDER.length}) across ${idx.length} player(s)`
+    };
+  }).filter(Boolean);
+}
+
+/* ---------------------- rendering ---------------------- */
+
+function renderSummary() {
+  const el = $('statsSummary');
+  if (!el) return;
+  const tiered = players.filter(p => Object.keys(p.tiers || {}).length).length;
+  const total = players.reduce((sum, p) => sum + (Number(p.points) || 0), 0);
+  const cards = [
+    ['Players', players.length],
+    ['Tiered', tiered],
+    ['Average points', players.length ? Math.round(total / players.length) : '—'],
+    [`Changes (${MOVERS_DAYS} days)`, history.filter(e => e.at >= new Date(Date.now() - MOVERS_DAYS * DAY_MS).toISOString()).length]
+  ];
+  el.innerHTML = cards.map(([label, value]) => `
+    <div class="tier-card stat-card">
+      <div class="muted small">${escapeHtml(label)}</div>
+      <div class="stat-value">${escapeHtml(value)}</div>
+    </div>`).join('');
+}
+
+function renderStats() {
+  loadStats();
+  renderSummary();
+  const mode = ($('statsMode') && $('statsMode').value) || '';
+  const chart = (id, svg) => { if ($(id)) $(id).innerHTML = svg; };
+  chart('tierChart', barChartSvg(tierDistribution(mode), { ariaLabel: 'Players per tier' }));
+  chart('pointsChart', barChartSvg(pointsDistribution(), { ariaLabel: 'Players per points range' }));
+  chart('moversChart', hBarChartSvg(topMovers(), { ariaLabel: `Biggest points changes in the last ${MOVERS_DAYS} days` }));
+  chart('weeksChart', barChartSvg(newPlayersPerWeek(), { ariaLabel: 'New players per week' }));
+  chart('modesChart', hBarChartSvg(averageTierPerMode(), { max: TIER_ORDER.length, ariaLabel: 'Average tier per gamemode' }));
+  if ($('statsUpdated')) $('statsUpdated').textContent = `Updated ${new Date().toLocaleTimeString()}`;
+}
+
+function populateStatsMode() {
+  const sel = $('statsMode');
+  if (!sel) return;
+  sel.innerHTML = '<option value="">Best tier (all gamemodes)</option>' +
+    GAMEMODES.map(m => `<option value="${m.id}">${escapeHtml(m.label)}</option>`).join('');
+}
+
+if (bc) {
+  bc.onmessage = (ev) => {
+    if (ev && ev.data && (ev.data.type === 'players-updated' || ev.data.type === 'mapping-updated')) renderStats();
+  };
+}
+window.addEventListener('storage', (e) => {
+  if (e && (e.key === STORAGE_KEY || e.key === MAPPING_KEY || e.key === HISTORY_KEY)) renderStats();
+});
+window.addEventListener('mctiers_players_updated', () => renderStats());
+window.addEventListener('mctiers_mapping_updated', () => renderStats());
+
+document.addEventListener('DOMContentLoaded', () => {
+  if ($('yearStats')) $('yearStats').textContent = new Date().getFullYear();
+  populateStatsMode();
+  if ($('statsMode')) $('statsMode').addEventListener('change', () => renderStats());
+  renderStats();
+});
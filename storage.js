@@ -0,0 +1,312 @@
+// Versioned storage shared by every page that reads or writes the tier list.
+// - Owns the storage keys, the tier ladder (TIER_ORDER), the gamemodes and the default tier mapping
+// - Players and mapping are saved as envelopes that record their schema version:
+//     players: { schemaVersion, savedAt, players: [...] }
+//     mapping: { schemaVersion, savedAt, mapping: { LT5: 10, ... } }
+// - Older data is upgraded step by step through PLAYER_MIGRATIONS / MAPPING_MIGRATIONS (n -> n + 1)
+// - Every player record is validated; bad records and unreadable data are copied to the quarantine
+//   ("mctiers_quarantine_v1") for recovery instead of being thrown away or replaced with seed data
+// - The public Rankings page can also load a published data file (data/players.json) in the same
+//   format the editor exports via "Published data file": { format, schemaVersion, updatedAt, players, tierMapping }
+// Load this before any other page script. The server (server/) also require()s it.
+
+const STORAGE_KEY = "mctiers_players_v1";
+const MAPPING_KEY = "mctiers_tier_mapping_v1";
+const QUARANTINE_KEY = "mctiers_quarantine_v1";
+const CHANNEL_NAME = "mctiers_channel";
+const SCHEMA_VERSION = 3;
+const QUARANTINE_LIMIT = 20;
+const PUBLISHED_DATA_URL = "data/players.json";
+const PUBLISHED_FORMAT = "mctiers-published";
+
+// Tier order & default mapping (edit values if desired)
+const TIER_ORDER = ["LT5","HT5","LT4","HT4","LT3","HT3","LT2","HT2","LT1","HT1"];
+const mappingDefault = {
+  LT5: 10, HT5: 20, LT4: 30, HT4: 40, LT3: 50,
+  HT3: 60, LT2: 70, HT2: 80, LT1: 90, HT1: 100
+};
+
+// Gamemodes each player is tiered in separately (id = storage/CSV key, label = UI text)
+const GAMEMODES = [
+  { id: "crystal", label: "Crystal" },
+  { id: "sword", label: "Sword" },
+  { id: "axe", label: "Axe" },
+  { id: "uhc", label: "UHC" },
+  { id: "pot", label: "Pot" },
+  { id: "nethop", label: "NethOP" },
+  { id: "smp", label: "SMP" },
+  { id: "mace", label: "Mace" }
+];
+
+// Regions with their own leaderboard (id = storage/CSV value, label = UI text)
+const REGIONS = [
+  { id: "NA", label: "North America" },
+  { id: "EU", label: "Europe" },
+  { id: "AS", label: "Asia" }
+];
+
+// Tier code on the ladder for any case ("ht3" -> "HT3"), null when unknown
+function normalizeTierCode(value) {
+  const t = String(value || "").trim().toUpperCase();
+  return TIER_ORDER.includes(t) ? t : null;
+}
+
+// Region entry for an id or label in any case ("eu", "Europe"), null when unknown
+function findRegion(value) {
+  const v = String(value || "").trim().toLowerCase();
+  return REGIONS.find(r => r.id.toLowerCase() === v || r.label.toLowerCase() === v) || null;
+}
+
+function makeId() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+  return 'p-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+}
+
+/* ---------------------- migrations ---------------------- */
+
+// PLAYER_MIGRATIONS[n] turns version n data into version n + 1.
+// v1: a bare array of { rank, name, tier, points } (tier was the CrystalPvP tier, no ids).
+// v2: envelope with ids and a per-gamemode `tiers` object on every record.
+// v3: every tier code is on TIER_ORDER; other cases are upper-cased and unknown codes are dropped from their
+//     gamemode (the rest of the record is kept).
+const PLAYER_MIGRATIONS = {
+  1: (data) => ({
+    schemaVersion: 2,
+    savedAt: null,
+    players: data.map(p => {
+      if (!p || typeof p !== 'object') return p; // left for validation to quarantine
+      const tiers = (p.tiers && typeof p.tiers === 'object') ? p.tiers : (p.tier ? { crystal: String(p.tier) } : {});
+      return { ...p, id: p.id ? String(p.id) : makeId(), tiers };
+    })
+  }),
+  2: (data) => ({
+    ...data,
+    schemaVersion: 3,
+    players: Array.isArray(data.players) ? data.players.map(p => {
+      if (!p || typeof p !== 'object' || !p.tiers || typeof p.tiers !== 'object' || Array.isArray(p.tiers)) return p;
+      const tiers = {};
+      Object.keys(p.tiers).forEach(mode => {
+        const code = normalizeTierCode(p.tiers[mode]);
+        if (code) tiers[mode] = code;
+      });
+      return { ...p, tiers };
+    }) : data.players
+  })
+};
+
+// v1: a bare { tier: points } object. v2: envelope. v3: unchanged (players went to v3).
+const MAPPING_MIGRATIONS = {
+  1: (data) => ({ schemaVersion: 2, savedAt: null, mapping: data }),
+  2: (data) => ({ ...data, schemaVersion: 3 })
+};
+
+function detectVersion(data, payloadField) {
+  if (Array.isArray(data)) return 1;
+  if (data && typeof data === 'object' && Number.isInteger(data.schemaVersion) && payloadField in data) return data.schemaVersion;
+  if (data && typeof data === 'object' && !Array.isArray(data) && payloadField === 'mapping') return 1;
+  return null;
+}
+
+function migrate(data, migrations, payloadField) {
+  let version = detectVersion(data, payloadField);
+  if (version === null) throw new Error("unrecognised data layout");
+  if (version > SCHEMA_VERSION) throw new Error(`saved by a newer version (schema ${version})`);
+  const from = version;
+  while (version < SCHEMA_VERSION) {
+    const step = migrations[version];
+    if (!step) throw new Error(`no migration from schema ${version}`);
+    data = step(data);
+    version = data.schemaVersion;
+  }
+  return { data, migrated: from !== SCHEMA_VERSION, from };
+}
+
+/* ---------------------- validation ---------------------- */
+
+// Returns a list of problems with a stored player record (empty when valid)
+function validatePlayerRecord(p) {
+  if (!p || typeof p !== 'object' || Array.isArray(p)) return ["not an object"];
+  const problems = [];
+  if (typeof p.id !== 'string' || !p.id) problems.push("missing id");
+  if (typeof p.name !== 'string' || !p.name.trim()) problems.push("missing name");
+  if (typeof p.points !== 'number' || !Number.isFinite(p.points)) problems.push("points is not a number");
+  if (p.rank !== undefined && typeof p.rank !== 'number') problems.push("rank is not a number");
+  if (!p.tiers || typeof p.tiers !== 'object' || Array.isArray(p.tiers)) problems.push("tiers is not an object");
+  else if (Object.values(p.tiers).some(t => typeof t !== 'string')) problems.push("tier codes must be text");
+  else {
+    const unknown = Object.values(p.tiers).filter(t => !TIER_ORDER.includes(t));
+    if (unknown.length) problems.push(`unknown tier code "${unknown[0]}"`);
+  }
+  ["lastTested", "lastActive"].forEach(f => {
+    if (p[f] && !/^\d{4}-\d{2}-\d{2}$/.test(String(p[f]))) problems.push(`${f} must be YYYY-MM-DD`);
+  });
+  if (p.status && !["active", "inactive", "retired"].includes(p.status)) problems.push("status must be active, inactive or retired");
+  if (p.region !== undefined && typeof p.region !== 'string') problems.push("region must be text");
+  if (p.country && !/^[A-Z]{2}$/.test(String(p.country))) problems.push("country must be a two-letter code");
+  return problems;
+}
+
+function validateMapping(m) {
+  if (!m || typeof m !== 'object' || Array.isArray(m)) return ["mapping is not an object"];
+  return Object.keys(m).filter(t => typeof m[t] !== 'number' || !Number.isFinite(m[t])).map(t => `points for ${t} is not a number`);
+}
+
+/* ---------------------- quarantine ---------------------- */
+
+function loadQuarantine() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(QUARANTINE_KEY) || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+// Keeps a copy of data that could not be used. `raw` is the original text or record.
+function quarantine(key, reason, raw) {
+  const text = typeof raw === 'string' ? raw : JSON.stringify(raw);
+  const list = loadQuarantine();
+  if (list.some(q => q.key === key && q.raw === text)) return; // already kept
+  list.push({ at: new Date().toISOString(), key, reason, raw: text });
+  while (list.length > QUARANTINE_LIMIT) list.shift();
+  try {
+    localStorage.setItem(QUARANTINE_KEY, JSON.stringify(list));
+  } catch (e) {
+    console.error("Failed to write quarantine (storage full?):", e);
+  }
+}
+
+function clearQuarantine() {
+  localStorage.removeItem(QUARANTINE_KEY);
+}
+
+/* ---------------------- players & mapping ---------------------- */
+
+// Reads, migrates and validates the stored players.
+// Returns { players, missing, corrupt, migrated, problems: [{ index, name, problems }], savedAt }.
+// With { readOnly: true } nothing is written (no quarantine copies) — used by view-only pages.
+function readPlayersStore(opts = {}) {
+  const result = { players: [], missing: false, corrupt: false, migrated: false, problems: [], savedAt: null };
+  const raw = localStorage.getItem(STORAGE_KEY);
+  if (raw === null) { result.missing = true; return result; }
+  let data;
+  try {
+    const m = migrate(JSON.parse(raw), PLAYER_MIGRATIONS, 'players');
+    data = m.data;
+    result.migrated = m.migrated;
+    if (!Array.isArray(data.players)) throw new Error("players is not a list");
+  } catch (e) {
+    console.error("Stored players could not be read:", e);
+    result.corrupt = true;
+    result.error = e.message;
+    if (!opts.readOnly) quarantine(STORAGE_KEY, `unreadable: ${e.message}`, raw);
+    return result;
+  }
+  const checked = validatePlayerList(data.players);
+  result.players = checked.players;
+  result.problems = checked.problems;
+  if (!opts.readOnly) checked.problems.forEach(x => quarantine(STORAGE_KEY, `record ${x.index}: ${x.problems.join(', ')}`, x.record));
+  result.savedAt = data.savedAt || null;
+  return result;
+}
+
+// Splits a list into valid records and problems ({ index, name, problems, record }); later duplicates of an id are problems
+function validatePlayerList(list) {
+  const out = { players: [], problems: [] };
+  const seen = new Set();
+  list.forEach((p, index) => {
+    const problems = validatePlayerRecord(p);
+    if (!problems.length && seen.has(p.id)) problems.push("duplicate id");
+    if (problems.length) {
+      out.problems.push({ index, name: p && p.name, problems, record: p });
+      return;
+    }
+    seen.add(p.id);
+    out.players.push(p);
+  });
+  return out;
+}
+
+function writePlayersStore(list) {
+  const env = { schemaVersion: SCHEMA_VERSION, savedAt: new Date().toISOString(), players: list };
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(env));
+  return env;
+}
+
+// Returns { mapping, missing, corrupt, migrated, savedAt }; the mapping is always complete (defaults fill gaps)
+function readMappingStore(opts = {}) {
+  const result = { mapping: { ...mappingDefault }, missing: false, corrupt: false, migrated: false, savedAt: null };
+  const raw = localStorage.getItem(MAPPING_KEY);
+  if (raw === null) { result.missing = true; return result; }
+  try {
+    const m = migrate(JSON.parse(raw), MAPPING_MIGRATIONS, 'mapping');
+    const problems = validateMapping(m.data.mapping);
+    if (problems.length) throw new Error(problems.join(', '));
+    result.mapping = { ...mappingDefault, ...m.data.mapping };
+    result.migrated = m.migrated;
+    result.savedAt = m.data.savedAt || null;
+  } catch (e) {
+    console.error("Stored mapping could not be read:", e);
+    result.corrupt = true;
+    result.error = e.message;
+    if (!opts.readOnly) quarantine(MAPPING_KEY, `unreadable: ${e.message}`, raw);
+  }
+  return result;
+}
+
+function writeMappingStore(mapping) {
+  const env = { schemaVersion: SCHEMA_VERSION, savedAt: new Date().toISOString(), mapping };
+  localStorage.setItem(MAPPING_KEY, JSON.stringify(env));
+  return env;
+}
+
+/* ---------------------- published data file ---------------------- */
+
+// The exact file the Rankings page loads from PUBLISHED_DATA_URL
+// `matches` (optional): match results for the ratings on the Rankings page (see rating.js)
+// `rankSettings` (optional): the ranking rules, so the Rankings page can recompute ranks and activity for today
+function buildPublishedData(list, mapping, matches, rankSettings) {
+  const data = {
+    format: PUBLISHED_FORMAT,
+    schemaVersion: SCHEMA_VERSION,
+    updatedAt: new Date().toISOString(),
+    players: list,
+    tierMapping: mapping
+  };
+  if (Array.isArray(matches) && matches.length) data.matches = matches;
+  if (rankSettings && typeof rankSettings === 'object') data.rankSettings = rankSettings;
+  return data;
+}
+
+// Runs a published file through the same migrations and validation as local storage.
+// Returns { players, mapping, matches, rankSettings, updatedAt, problems }; throws when the file is not a published data file.
+function readPublishedData(data) {
+  if (!data || data.format !== PUBLISHED_FORMAT) throw new Error("not a published data file");
+  const m = migrate({ schemaVersion: data.schemaVersion, players: data.players }, PLAYER_MIGRATIONS, 'players');
+  if (!Array.isArray(m.data.players)) throw new Error("players is not a list");
+  const checked = validatePlayerList(m.data.players);
+  const mappingOk = !validateMapping(data.tierMapping).length;
+  return {
+    players: checked.players,
+    problems: checked.problems,
+    mapping: mappingOk ? { ...mappingDefault, ...data.tierMapping } : null,
+    matches: Array.isArray(data.matches) ? data.matches : [],
+    rankSettings: (data.rankSettings && typeof data.rankSettings === 'object' && !Array.isArray(data.rankSettings)) ? data.rankSettings : null,
+    updatedAt: data.updatedAt || null
+  };
+}
+
+async function fetchPublishedData(url = PUBLISHED_DATA_URL) {
+  const res = await fetch(url, { cache: 'no-cache' });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return readPublishedData(await res.json());
+}
+
+// The Node server (server/) reuses the tier ladder, migrations and validation
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TIER_ORDER, GAMEMODES, REGIONS, normalizeTierCode, findRegion, mappingDefault, SCHEMA_VERSION, PUBLISHED_FORMAT,
+    PLAYER_MIGRATIONS, MAPPING_MIGRATIONS, migrate, makeId,
+    validatePlayerRecord, validatePlayerList, validateMapping, buildPublishedData
+  };
+}
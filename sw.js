@@ -0,0 +1,83 @@
+// Service worker: keeps the site usable with a poor or no connection (registered by pwa.js).
+// - Pages, styles.css, logo.png, the app icons and every script are precached on install and served from the cache at once;
+//   a fresh copy is fetched in the background for the next visit (stale-while-revalidate)
+// - Rankings data (data/players.json and the server's public /api/published, see DATA_PATHS) goes to the
+//   network first and falls back to the last copy that loaded, so the Rankings pages work offline
+// - Everything else (the editor and queue APIs, status checks, writes, other sites) is left to the network
+// Bump CACHE_VERSION when the list of files changes; old caches are removed on activation.
+
+const CACHE_VERSION = "v2";
+const SHELL_CACHE = `lighttiers-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `lighttiers-data-${CACHE_VERSION}`;
+
+const PRECACHE = [
+  "./",
+  "index.html", "tiers.html", "players-view.html", "stats.html", "queue.html", "players.html",
+  "styles.css", "logo.png", "icon-192.png", "icon-512.png", "manifest.webmanifest",
+  "app.js", "pwa.js", "storage.js", "brackets.js", "ranking.js", "rating.js", "api.js", "history.js", "export.js",
+  "table.js", "query.js", "testing.js", "webhooks.js", "tiers.js", "stats.js", "queue.js", "players.js", "players-view.js"
+];
+
+// Public rankings data worth keeping for offline visits (matched against the end of the path).
+// Only what players-view.js reads: signed-in answers must not outlive the session in a shared cache.
+const DATA_PATHS = ["/data/players.json", "/api/published"];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(PRECACHE)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys.filter(k => k.startsWith("lighttiers-") && k !== SHELL_CACHE && k !== DATA_CACHE).map(k => caches.delete(k))))
+    .then(() => self.clients.claim()));
+});
+
+function isData(url) {
+  return DATA_PATHS.some(p => url.pathname.endsWith(p));
+}
+
+// Network first; the last good answer when the network fails
+async function networkFirst(request) {
+  const cache = await caches.open(DATA_CACHE);
+  try {
+    const res = await fetch(request);
+    if (res.ok) await cache.put(request, res.clone());
+    return res;
+  } catch (err) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    return new Response(JSON.stringify({ error: "offline" }), { status: 503, headers: { "Content-Type": "application/json" } });
+  }
+}
+
+// Cached copy right away (query strings such as ?bracket= ignored), refreshed in the background
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(event.request, { ignoreSearch: true });
+  const refresh = fetch(event.request).then(res => {
+    if (res.ok) {
+      const url = new URL(event.request.url);
+      url.search = "";
+      return cache.put(url.href, res.clone()).then(() => res);
+    }
+    return res;
+  });
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+}
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (isData(url)) {
+    event.respondWith(networkFirst(request));
+    return;
+  }
+  if (url.origin === self.location.origin && !url.pathname.includes("/api/")) {
+    event.respondWith(staleWhileRevalidate(event));
+  }
+});
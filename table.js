@@ -0,0 +1,75 @@
+// Players table helpers shared by the editor (players.js) and the Rankings page (players-view.js).
+// - Debounced search (the query itself is parsed and matched by query.js)
+// - Pagination: only one page of rows is in the DOM; the page size is picked in the pager and remembered
+//   in this browser under "mctiers_page_size_v1"
+// Load after storage.js; the pager uses the page's escapeHtml.
+
+const PAGE_SIZE_KEY = "mctiers_page_size_v1";
+const PAGE_SIZES = [25, 50, 100, 250, 0]; // 0 = every row on one page
+const PAGE_SIZE_DEFAULT = 50;
+const SEARCH_DEBOUNCE_MS = 150;
+
+function debounce(fn, ms) {
+  let timer = null;
+  return (...args) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => fn(...args), ms);
+  };
+}
+
+function loadPageSize() {
+  const raw = localStorage.getItem(PAGE_SIZE_KEY);
+  return raw !== null && PAGE_SIZES.includes(Number(raw)) ? Number(raw) : PAGE_SIZE_DEFAULT;
+}
+
+// { page (1-based), size (0 = all) }
+function createPager() {
+  return { page: 1, size: loadPageSize() };
+}
+
+function pageCount(pager, total) {
+  return pager.size ? Math.max(1, Math.ceil(total / pager.size)) : 1;
+}
+
+// The rows of the current page; moves back to the last page when the list got shorter
+function pageSlice(list, pager) {
+  pager.page = Math.min(Math.max(1, pager.page), pageCount(pager, list.length));
+  if (!pager.size) return list;
+  const start = (pager.page - 1) * pager.size;
+  return list.slice(start, start + pager.size);
+}
+
+function renderPager(el, pager, total) {
+  if (!el) return;
+  const pages = pageCount(pager, total);
+  const first = total ? (pager.size ? (pager.page - 1) * pager.size + 1 : 1) : 0;
+  const last = pager.size ? Math.min(total, pager.page * pager.size) : total;
+  el.innerHTML = `
+    <span class="muted small">${first}–${last} of ${total}</span>
+    <button class="btn" type="button" data-page="prev" ${pager.page <= 1 ? 'disabled' : ''}>‹ Prev</button>
+    <span class="muted small">Page ${pager.page} of ${pages}</span>
+    <button class="btn" type="button" data-page="next" ${pager.page >= pages ? 'disabled' : ''}>Next ›</button>
+    <label class="muted small">Rows per page
+      <select data-page="size" style="padding:0.3rem;border-radius:8px;background:transparent;color:var(--accent-text);border:1px solid rgba(255,255,255,0.03)">
+        ${PAGE_SIZES.map(n => `<option value="${n}" ${n === pager.size ? 'selected' : ''}>${n || 'All'}</option>`).join('')}
+      </select>
+    </label>`;
+}
+
+// One set of listeners on the pager element; `rerender` draws the table again
+function initPager(el, pager, rerender) {
+  if (!el) return;
+  el.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-page]');
+    if (!btn || btn.disabled) return;
+    pager.page += btn.dataset.page === 'next' ? 1 : -1;
+    rerender();
+  });
+  el.addEventListener('change', (e) => {
+    if (e.target.dataset.page !== 'size') return;
+    pager.size = Number(e.target.value);
+    pager.page = 1;
+    localStorage.setItem(PAGE_SIZE_KEY, String(pager.size));
+    rerender();
+  });
+}
@@ -0,0 +1,93 @@
+// Tier testing queue shared by the queue page (queue.js) and the Node server (server/store.js).
+// - A test request asks for a tier test of one player in one gamemode; requests wait in line per gamemode
+// - Lifecycle: "waiting" -> "testing" (claimed by a tester) -> "done" (result recorded) or "cancelled"
+// - A result sets the player's tier in that gamemode; points follow the tier mapping like every other tier change.
+//   It also counts as activity: lastTested becomes today and an inactive / retired status set by hand is cleared
+// - Without the server the queue is kept in this browser under "mctiers_queue_v1"
+// Load after storage.js (GAMEMODES, TIER_ORDER, makeId); the server loads it through server/shared.js.
+
+const QUEUE_KEY = "mctiers_queue_v1";
+const TEST_STATUSES = ["waiting", "testing", "done", "cancelled"];
+const QUEUE_OPEN_LIMIT = 500; // waiting + testing requests accepted at once
+
+function isOpenRequest(r) {
+  return r.status === "waiting" || r.status === "testing";
+}
+
+// "3-1", "3 : 1", "3–1" -> "3-1"; null when it is not a fight score
+function normalizeScore(s) {
+  const m = String(s || "").trim().match(/^(\d{1,2})\s*[-–:]\s*(\d{1,2})$/);
+  return m ? `${Number(m[1])}-${Number(m[2])}` : null;
+}
+
+// Problems with a new request (empty when it can be queued)
+function validateTestRequest(input, queue) {
+  const problems = [];
+  const name = String((input && input.name) || "").trim();
+  if (!/^[A-Za-z0-9_]{1,16}$/.test(name)) problems.push("name must be a Minecraft username (1-16 letters, digits or _)");
+  if (!GAMEMODES.some(m => m.id === (input && input.mode))) problems.push("unknown gamemode");
+  if (String((input && input.note) || "").length > 200) problems.push("note is longer than 200 characters");
+  const open = (queue || []).filter(isOpenRequest);
+  if (open.some(r => r.mode === input.mode && r.name.toLowerCase() === name.toLowerCase())) problems.push(`${name} is already in the ${input.mode} queue`);
+  if (open.length >= QUEUE_OPEN_LIMIT) problems.push("the queue is full, try again later");
+  return problems;
+}
+
+function newTestRequest(input) {
+  return {
+    id: makeId(),
+    name: String(input.name).trim(),
+    mode: input.mode,
+    note: String(input.note || "").trim(),
+    status: "waiting",
+    requestedAt: new Date().toISOString(),
+    claimedBy: "", claimedAt: null,
+    completedAt: null, result: null
+  };
+}
+
+// id -> 1-based place in line among the waiting requests of the same gamemode (oldest first)
+function queuePositions(queue) {
+  const positions = new Map();
+  const counters = {};
+  (queue || []).filter(r => r.status === "waiting")
+    .slice().sort((a, b) => a.requestedAt < b.requestedAt ? -1 : a.requestedAt > b.requestedAt ? 1 : 0)
+    .forEach(r => {
+      counters[r.mode] = (counters[r.mode] || 0) + 1;
+      positions.set(r.id, counters[r.mode]);
+    });
+  return positions;
+}
+
+// Problems with a result { tier, score } (empty when it can be recorded)
+function validateTestResult(result) {
+  const problems = [];
+  if (!TIER_ORDER.includes(result && result.tier)) problems.push("result tier must be one of " + TIER_ORDER.join(", "));
+  if (!normalizeScore(result && result.score)) problems.push('fight score must look like "3-1"');
+  return problems;
+}
+
+// Returns { players, player }: a copy of `players` where the tested player (matched by name, added when new)
+// holds the result tier in the request's gamemode, with `tier` and `points` recomputed from `mapping`
+function applyTestResult(players, request, tier, mapping) {
+  const key = request.name.toLowerCase();
+  const index = players.findIndex(p => String(p.name).toLowerCase() === key);
+  const prev = index === -1 ? { id: makeId(), uuid: "", rank: 0, rankOverride: null, pointsSince: "", name: request.name, tiers: {} } : players[index];
+  const tiers = { ...(prev.tiers || {}), [request.mode]: tier };
+  const best = Object.values(tiers).reduce((b, t) => TIER_ORDER.indexOf(t) > TIER_ORDER.indexOf(b) ? t : b, "");
+  const points = Object.values(tiers).reduce((sum, t) => sum + (Number(mapping[t]) || 0), 0);
+  const status = prev.status === "active" ? "active" : "";
+  const player = { ...prev, tiers, tier: best, points, status, lastTested: new Date().toISOString().slice(0, 10) };
+  const next = players.slice();
+  if (index === -1) next.push(player);
+  else next[index] = player;
+  return { players: next, player };
+}
+
+// The Node server (server/) runs the same rules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TEST_STATUSES, isOpenRequest, normalizeScore, validateTestRequest, newTestRequest,
+    queuePositions, validateTestResult, applyTestResult
+  };
+}
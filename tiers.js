@@ -0,0 +1,96 @@
+// Tiers page (tiers.html).
+// - One card per bracket in TIER_BRACKETS (brackets.js): name, tier range, description and perks
+// - Each card shows how many ranked players are in the bracket right now (by their best tier, retired players left out) and the points
+//   range its tiers are worth under the current mapping, and links to the Rankings page filtered to the bracket
+// - Reads the same data as the Rankings page: the LightTiers server when it answers, otherwise the published
+//   data file or this browser's data, whichever is newer; recounts when the editor saves
+
+let players = [];
+let tierMapping = { ...mappingDefault };
+let dataInfo = { source: 'local', updatedAt: null };
+
+const bc = (typeof window !== 'undefined' && 'BroadcastChannel' in window) ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+function $(id) { return document.getElementById(id); }
+function escapeHtml(s) {
+  if (s === null || s === undefined) return '';
+  return String(s).replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;");
+}
+
+// Server first; otherwise the published file unless this browser saved something newer
+async function loadTierData() {
+  const local = readPlayersStore({ readOnly: true });
+  const localMapping = readMappingStore({ readOnly: true });
+  try {
+    const data = await fetchPublishedData(apiUrl('api/published'));
+    players = data.players;
+    tierMapping = data.mapping || localMapping.mapping;
+    dataInfo = { source: 'server', updatedAt: data.updatedAt };
+    return renderBrackets();
+  } catch (e) {
+    console.info("tiers: no server, trying the published data file:", e.message);
+  }
+  let data = null;
+  try {
+    data = await fetchPublishedData();
+  } catch (e) {
+    console.info("tiers: no published data, using this browser's data only:", e.message);
+  }
+  const localIsNewer = !data || (!!local.savedAt && (!data.updatedAt || local.savedAt > data.updatedAt));
+  players = localIsNewer ? local.players : data.players;
+  tierMapping = (localIsNewer || !data.mapping) ? localMapping.mapping : data.mapping;
+  dataInfo = localIsNewer ? { source: 'local', updatedAt: local.savedAt } : { source: 'published', updatedAt: data.updatedAt };
+  renderBrackets();
+}
+
+function pointsRangeLabel(tiers) {
+  const pts = tiers.map(t => Number(tierMapping[t])).filter(n => Number.isFinite(n));
+  if (!pts.length) return '';
+  const lo = Math.min(...pts);
+  const hi = Math.max(...pts);
+  return lo === hi ? `${lo} pts` : `${lo}–${hi} pts`;
+}
+
+function renderBrackets() {
+  const grid = $('tiersGrid');
+  if (!grid) return;
+  grid.innerHTML = TIER_BRACKETS.map(b => {
+    const tiers = bracketTiers(b);
+    // retired players are hidden on the Rankings page by default, so they are not counted either
+    const count = players.filter(p => tiers.includes(p.tier) && p.activity !== 'retired').length;
+    const points = pointsRangeLabel(tiers);
+    return `
+      <article class="tier-card${b.featured ? ' popular' : ''}" data-bracket="${escapeHtml(b.id)}">
+        <h3 class="tier-title">${escapeHtml(b.name)}</h3>
+        <p class="muted small" style="margin:0 0 0.4rem">${escapeHtml(bracketRangeLabel(b))}${points ? ` · ${escapeHtml(points)} per gamemode` : ''}</p>
+        <p class="tier-desc">${escapeHtml(b.description || '')}</p>
+        <ul class="tier-features">
+          ${(b.perks || []).map(perk => `<li>${escapeHtml(perk)}</li>`).join('')}
+        </ul>
+        <p style="margin:0.75rem 0 0">
+          <a class="btn" href="players-view.html?bracket=${encodeURIComponent(b.id)}">${count === 1 ? '1 player' : `${count} players`} →</a>
+        </p>
+      </article>`;
+  }).join('');
+
+  const note = $('tiersUpdated');
+  if (note) {
+    const when = dataInfo.updatedAt ? new Date(dataInfo.updatedAt).toLocaleString() : 'unknown';
+    note.textContent = players.length ? `Player counts by best tier, last updated ${when}.` : 'No rankings published yet.';
+  }
+}
+
+if (bc) {
+  bc.onmessage = (ev) => {
+    if (ev && ev.data && (ev.data.type === 'players-updated' || ev.data.type === 'mapping-updated')) loadTierData();
+  };
+}
+window.addEventListener('storage', (e) => {
+  if (e && (e.key === STORAGE_KEY || e.key === MAPPING_KEY)) loadTierData();
+});
+
+document.addEventListener('DOMContentLoaded', () => {
+  if ($('year2')) $('year2').textContent = new Date().getFullYear();
+  renderBrackets();
+  loadTierData();
+});
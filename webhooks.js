@@ -0,0 +1,229 @@
+// Outgoing webhook announcements in the Discord embed format, shared by the editor and the Node server.
+// - Events: a tier going up (promotion) or down (demotion) in a gamemode, a new player, and mapping changes
+// - Each hook is { id, name, url, events: [event ids], enabled }; any URL that accepts a Discord webhook body
+//   works, including a local stand-in receiver (server/webhook-receiver.js) for testing
+// - Every event type has a message template with {placeholders}; see WEBHOOK_PLACEHOLDERS
+// - Changes arriving within WEBHOOK_BATCH_MS of each other (a bulk edit, an import, several quick saves)
+//   go out as one message with one embed per event type
+// - Without the server the editor sends them itself and keeps the settings in "mctiers_webhooks_v1" and the
+//   delivery log in "mctiers_webhook_log_v1"; with the server, the server sends them (it sees every account's changes)
+// Load after storage.js (TIER_ORDER, GAMEMODES, makeId). The server loads this file through server/shared.js.
+
+const WEBHOOKS_KEY = "mctiers_webhooks_v1";
+const WEBHOOK_LOG_KEY = "mctiers_webhook_log_v1";
+const WEBHOOK_LOG_LIMIT = 50;
+const WEBHOOK_BATCH_MS = 2000;
+const WEBHOOK_EMBED_CHARS = 1400; // per embed; Discord allows 6000 characters per message in total
+
+const WEBHOOK_EVENTS = [
+  { id: "promotion", label: "Promotions", color: 0x4ade80 },
+  { id: "demotion", label: "Demotions", color: 0xf87171 },
+  { id: "new-player", label: "New players", color: 0x60a5fa },
+  { id: "mapping", label: "Mapping changes", color: 0xfacc15 }
+];
+
+// Placeholders each template can use
+const WEBHOOK_PLACEHOLDERS = {
+  promotion: ["name", "mode", "from", "to", "points", "rank", "by"],
+  demotion: ["name", "mode", "from", "to", "points", "rank", "by"],
+  "new-player": ["name", "tiers", "points", "rank", "by"],
+  mapping: ["tier", "from", "to", "by"]
+};
+
+const webhookDefaults = {
+  username: "LightTiers",
+  hooks: [],
+  templates: {
+    promotion: "⬆️ **{name}** {from} → **{to}** in {mode}",
+    demotion: "⬇️ **{name}** {from} → **{to}** in {mode}",
+    "new-player": "🆕 **{name}** joined the rankings: {tiers} ({points} pts)",
+    mapping: "{tier}: {from} → **{to}** points"
+  }
+};
+
+/* ---------------------- settings ---------------------- */
+
+// Fills in defaults and drops unknown fields
+function normalizeWebhookConfig(cfg) {
+  const c = (cfg && typeof cfg === "object") ? cfg : {};
+  const ids = WEBHOOK_EVENTS.map(e => e.id);
+  return {
+    username: String(c.username || webhookDefaults.username).slice(0, 80),
+    hooks: (Array.isArray(c.hooks) ? c.hooks : []).map(h => ({
+      id: String(h.id || makeId()),
+      name: String(h.name || "").trim().slice(0, 60),
+      url: String(h.url || "").trim(),
+      events: (Array.isArray(h.events) ? h.events : ids).filter(e => ids.includes(e)),
+      enabled: h.enabled !== false
+    })),
+    templates: Object.fromEntries(ids.map(id => [id, String((c.templates || {})[id] || webhookDefaults.templates[id]).slice(0, 500)]))
+  };
+}
+
+// Problems with a configuration (empty when it can be saved)
+function validateWebhookConfig(cfg) {
+  const problems = [];
+  (cfg.hooks || []).forEach((h, i) => {
+    const label = h.name || `webhook ${i + 1}`;
+    if (!/^https?:\/\/[^\s/]+/i.test(h.url || "")) problems.push(`${label}: the URL must start with http:// or https://`);
+  });
+  return problems;
+}
+
+function loadWebhookConfig() {
+  try {
+    return normalizeWebhookConfig(JSON.parse(localStorage.getItem(WEBHOOKS_KEY) || "{}"));
+  } catch (e) {
+    console.error("Failed to load webhook settings:", e);
+    return normalizeWebhookConfig({});
+  }
+}
+
+function saveWebhookConfig(cfg) {
+  localStorage.setItem(WEBHOOKS_KEY, JSON.stringify(cfg));
+}
+
+function loadWebhookLog() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(WEBHOOK_LOG_KEY) || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+// Newest last; only the latest WEBHOOK_LOG_LIMIT entries are kept
+function appendWebhookLog(entries) {
+  if (!entries.length) return;
+  localStorage.setItem(WEBHOOK_LOG_KEY, JSON.stringify(loadWebhookLog().concat(entries).slice(-WEBHOOK_LOG_LIMIT)));
+}
+
+/* ---------------------- events ---------------------- */
+
+function webhookModeLabel(id) {
+  return (GAMEMODES.find(m => m.id === id) || { label: id }).label;
+}
+
+// Events for the differences between two player lists: one per gamemode tier that went up or down
+// (a first tier counts as up, a removed one as down) and one per new player
+function playerWebhookEvents(before, after, by) {
+  const prev = new Map((before || []).map(p => [p.id, p]));
+  const events = [];
+  (after || []).forEach(p => {
+    const old = prev.get(p.id);
+    const base = { name: p.name, points: p.points, rank: p.rank || "", by: by || "" };
+    if (!old) {
+      const tiers = Object.entries(p.tiers || {}).map(([m, t]) => `${webhookModeLabel(m)} ${t}`).join(", ") || "no tiers yet";
+      events.push({ type: "new-player", ...base, tiers });
+      return;
+    }
+    const modes = new Set(Object.keys(old.tiers || {}).concat(Object.keys(p.tiers || {})));
+    modes.forEach(m => {
+      const from = (old.tiers || {})[m] || "";
+      const to = (p.tiers || {})[m] || "";
+      const d = TIER_ORDER.indexOf(to) - TIER_ORDER.indexOf(from);
+      if (from === to || !d) return;
+      events.push({ type: d > 0 ? "promotion" : "demotion", ...base, mode: webhookModeLabel(m), from: from || "untested", to: to || "untested" });
+    });
+  });
+  return events;
+}
+
+function mappingWebhookEvents(before, after, by) {
+  return TIER_ORDER
+    .filter(t => (before || {})[t] !== (after || {})[t])
+    .map(t => ({ type: "mapping", tier: t, from: (before || {})[t] ?? "—", to: (after || {})[t] ?? "—", by: by || "" }));
+}
+
+/* ---------------------- messages ---------------------- */
+
+function fillWebhookTemplate(template, values) {
+  return String(template).replace(/\{(\w+)\}/g, (m, key) => (values[key] !== undefined && values[key] !== null) ? String(values[key]) : m);
+}
+
+// One Discord message for a batch of events: one embed per event type, long lists cut short
+function buildWebhookPayload(events, cfg) {
+  const c = normalizeWebhookConfig(cfg);
+  const by = Array.from(new Set(events.map(e => e.by).filter(Boolean)));
+  const embeds = WEBHOOK_EVENTS.map(type => {
+    const list = events.filter(e => e.type === type.id);
+    if (!list.length) return null;
+    const lines = [];
+    let length = 0;
+    for (const e of list) {
+      const line = fillWebhookTemplate(c.templates[type.id], e);
+      if (length + line.length + 1 > WEBHOOK_EMBED_CHARS - 40) break;
+      lines.push(line);
+      length += line.length + 1;
+    }
+    if (lines.length < list.length) lines.push(`…and ${list.length - lines.length} more`);
+    return {
+      title: list.length > 1 ? `${type.label} (${list.length})` : type.label,
+      description: lines.join("\n"),
+      color: type.color,
+      timestamp: new Date().toISOString(),
+      ...(by.length ? { footer: { text: `by ${by.join(", ")}` } } : {})
+    };
+  }).filter(Boolean);
+  return { username: c.username, embeds };
+}
+
+// Sample message for the test button: one made-up event of every type
+function webhookTestPayload(cfg) {
+  const sample = [
+    { type: "promotion", name: "ExamplePlayer", mode: webhookModeLabel(GAMEMODES[0].id), from: "LT3", to: "HT3", points: 60, rank: 1, by: "test" },
+    { type: "demotion", name: "ExamplePlayer", mode: webhookModeLabel(GAMEMODES[1].id), from: "HT2", to: "LT2", points: 60, rank: 1, by: "test" },
+    { type: "new-player", name: "NewPlayer", tiers: `${webhookModeLabel(GAMEMODES[0].id)} LT5`, points: 10, rank: 2, by: "test" },
+    { type: "mapping", tier: "HT1", from: 100, to: 110, by: "test" }
+  ];
+  const payload = buildWebhookPayload(sample, cfg);
+  payload.content = "Test message: this is how tier announcements will look.";
+  return payload;
+}
+
+/* ---------------------- delivery ---------------------- */
+
+// Posts `payload` to one hook; resolves to a delivery log entry (never rejects)
+async function sendWebhook(hook, payload, fetchImpl, extra = {}) {
+  const entry = { at: new Date().toISOString(), hook: hook.name || hook.url, ...extra };
+  try {
+    const res = await fetchImpl(hook.url, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(payload) });
+    return { ...entry, ok: res.ok, status: res.status, error: res.ok ? "" : `HTTP ${res.status}` };
+  } catch (err) {
+    return { ...entry, ok: false, status: 0, error: err.message || String(err) };
+  }
+}
+
+// Sends a batch of events to every enabled hook subscribed to any of them; resolves to the log entries
+async function deliverWebhooks(events, cfg, fetchImpl) {
+  const c = normalizeWebhookConfig(cfg);
+  const sends = c.hooks.filter(h => h.enabled && h.url).map(h => {
+    const mine = events.filter(e => h.events.includes(e.type));
+    return mine.length ? sendWebhook(h, buildWebhookPayload(mine, c), fetchImpl, { count: mine.length }) : null;
+  }).filter(Boolean);
+  return Promise.all(sends);
+}
+
+// Collects events and calls `flush(events)` once no new ones arrived for `delay` ms
+function createWebhookBatcher(flush, delay = WEBHOOK_BATCH_MS) {
+  let pending = [];
+  let timer = null;
+  return (events) => {
+    if (!events.length) return;
+    pending = pending.concat(events);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const batch = pending;
+      pending = [];
+      flush(batch);
+    }, delay);
+  };
+}
+
+// The Node server (server/) sends the same messages
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    WEBHOOK_EVENTS, WEBHOOK_LOG_LIMIT, WEBHOOK_BATCH_MS, normalizeWebhookConfig, validateWebhookConfig, playerWebhookEvents,
+    mappingWebhookEvents, buildWebhookPayload, webhookTestPayload, sendWebhook, deliverWebhooks, createWebhookBatcher
+  };
+}